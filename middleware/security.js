@@ -33,13 +33,14 @@ const apiLimiter = rateLimit({
 });
 
 // Rate limiting for order creation
+// Keyed by account (runs after authenticateToken) so resellers sharing a network are not throttled together
 const orderLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 10, // 10 orders per minute
   message: 'Too many order requests, please slow down.',
   standardHeaders: true,
   legacyHeaders: false,
-  keyGenerator: getClientIp,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : getClientIp(req)),
 });
 
 // Input sanitization helper
@@ -37,6 +37,10 @@ const storage = multer.diskStorage({
       prefix = 'id-back-';
     } else if (file.fieldname === 'profilePhoto') {
       prefix = 'profile-';
+    } else if (file.fieldname === 'screenshot') {
+      prefix = 'appeal-';
+    } else if (file.fieldname === 'proofImage') {
+      prefix = 'proof-';
     }
     
     // Preserve original file extension exactly as uploaded
@@ -113,7 +117,51 @@ const uploadOrderPhoto = multer({
   fileFilter: fileFilter
 }).single('profilePhoto');
 
+// Export for order appeal screenshot upload
+const uploadAppealScreenshot = multer({
+  storage: storage,
+  limits: { 
+    fileSize: 5 * 1024 * 1024,
+    files: 1,
+    fieldSize: 10 * 1024 * 1024
+  },
+  fileFilter: fileFilter
+}).single('screenshot');
+
+// Export for order completion proof upload
+const uploadCompletionProof = multer({
+  storage: storage,
+  limits: { 
+    fileSize: 5 * 1024 * 1024,
+    files: 1,
+    fieldSize: 10 * 1024 * 1024
+  },
+  fileFilter: fileFilter
+}).single('proofImage');
+
+// Export for bulk order CSV upload - kept in memory, never written to the uploads folder
+const uploadOrderCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { 
+    fileSize: 1 * 1024 * 1024, // 1MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['text/csv', 'text/plain', 'application/vnd.ms-excel', 'application/csv'];
+    const extname = /\.csv$/i.test(path.extname(file.originalname));
+
+    if (extname && allowedMimeTypes.includes(file.mimetype)) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+}).single('csvFile');
+
 module.exports = uploadSingle;
 module.exports.uploadMultiple = uploadMultiple;
 module.exports.uploadOrderPhoto = uploadOrderPhoto;
+module.exports.uploadAppealScreenshot = uploadAppealScreenshot;
+module.exports.uploadCompletionProof = uploadCompletionProof;
+module.exports.uploadOrderCsv = uploadOrderCsv;
 
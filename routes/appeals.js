@@ -0,0 +1,337 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateString, validateInteger } = require("../middleware/security");
+const { uploadAppealScreenshot } = require("../middleware/upload");
+const { announceNewOrder } = require("../utils/orderService");
+const { canTransition } = require("../utils/orderStatus");
+const { recordOrderEvent } = require("../utils/orderEvents");
+const router = express.Router();
+
+// Ensure order_appeals table exists
+const ensureAppealsTable = async () => {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS order_appeals (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      user_id INT NOT NULL,
+      message TEXT NOT NULL,
+      screenshot VARCHAR(255) NULL,
+      status ENUM('PENDING', 'ACCEPTED', 'DENIED') NOT NULL DEFAULT 'PENDING',
+      admin_id INT NULL,
+      admin_notes TEXT NULL,
+      points_deducted DECIMAL(12, 2) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      resolved_at DATETIME NULL,
+      INDEX idx_appeals_status (status, created_at),
+      INDEX idx_appeals_order (order_id),
+      INDEX idx_appeals_user (user_id),
+      CONSTRAINT fk_appeals_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      CONSTRAINT fk_appeals_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CONSTRAINT fk_appeals_admin FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB`
+  );
+};
+
+// File an appeal on a rejected order (order owner only)
+router.post(
+  "/",
+  authenticateToken,
+  uploadAppealScreenshot,
+  async (req, res) => {
+    try {
+      const orderId = validateInteger(req.body.orderId, 1);
+      const message = validateString(req.body.message, 2000);
+
+      if (!orderId) {
+        return res.status(400).json({ error: "Invalid order ID" });
+      }
+      if (!message) {
+        return res.status(400).json({ error: "Appeal message is required" });
+      }
+
+      await ensureAppealsTable();
+
+      const [orderResult] = await pool.query(
+        `SELECT id, order_number, status FROM orders WHERE id = ? AND user_id = ?`,
+        [orderId, req.user.id]
+      );
+      if (orderResult.length === 0) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      if (orderResult[0].status !== "REJECTED") {
+        return res
+          .status(400)
+          .json({ error: "Only rejected orders can be appealed" });
+      }
+
+      const [openAppeals] = await pool.query(
+        `SELECT id FROM order_appeals WHERE order_id = ? AND status = 'PENDING'`,
+        [orderId]
+      );
+      if (openAppeals.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "This order already has an appeal under review" });
+      }
+
+      const screenshot = req.file ? req.file.filename : null;
+
+      const [result] = await pool.query(
+        `INSERT INTO order_appeals (order_id, user_id, message, screenshot)
+         VALUES (?, ?, ?, ?)`,
+        [orderId, req.user.id, message, screenshot]
+      );
+
+      console.log(
+        `Appeal ${result.insertId} filed for order ${orderId} by user ${req.user.id}`
+      );
+
+      res.status(201).json({
+        message: "Appeal submitted successfully",
+        appeal: {
+          id: result.insertId,
+          order_id: orderId,
+          order_number: orderResult[0].order_number,
+          message,
+          screenshot,
+          status: "PENDING",
+        },
+      });
+    } catch (error) {
+      console.error("Create appeal error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to submit appeal", details: error.message });
+    }
+  }
+);
+
+// Get own appeals (order owner)
+router.get("/mine", authenticateToken, async (req, res) => {
+  try {
+    await ensureAppealsTable();
+    const [appeals] = await pool.query(
+      `SELECT a.id, a.order_id, o.order_number, a.message, a.screenshot, a.status,
+              a.admin_notes, a.points_deducted, a.created_at, a.resolved_at
+       FROM order_appeals a
+       JOIN orders o ON a.order_id = o.id
+       WHERE a.user_id = ?
+       ORDER BY a.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ appeals: appeals || [] });
+  } catch (error) {
+    console.error("Get my appeals error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch appeals", details: error.message });
+  }
+});
+
+// Get appeal queue (Admin only) - pending appeals by default, oldest first
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const statusFilter =
+      typeof req.query.status === "string"
+        ? req.query.status.trim().toUpperCase()
+        : "PENDING";
+    if (!["PENDING", "ACCEPTED", "DENIED", "ALL"].includes(statusFilter)) {
+      return res
+        .status(400)
+        .json({ error: "Invalid status. Use PENDING, ACCEPTED, DENIED or ALL" });
+    }
+
+    await ensureAppealsTable();
+    const [appeals] = await pool.query(
+      `SELECT a.*, o.order_number, o.client_imo_id, o.diamond_amount, o.quantity, o.points_used,
+              o.status AS order_status,
+              u.name AS parent_user_name, u.id_number AS parent_user_id_number, u.points_balance,
+              admin.name AS admin_name
+       FROM order_appeals a
+       JOIN orders o ON a.order_id = o.id
+       LEFT JOIN users u ON a.user_id = u.id
+       LEFT JOIN users admin ON a.admin_id = admin.id
+       ${statusFilter === "ALL" ? "" : "WHERE a.status = ?"}
+       ORDER BY a.created_at ASC`,
+      statusFilter === "ALL" ? [] : [statusFilter]
+    );
+    res.json({ appeals: appeals || [] });
+  } catch (error) {
+    console.error("Get appeals error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch appeals", details: error.message });
+  }
+});
+
+// Accept or deny an appeal (Admin only) - accepting re-opens the order and re-deducts its points
+router.patch(
+  "/:appealId",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+      const appealId = parseInt(req.params.appealId);
+      const { action, adminNotes } = req.body; // action: 'accept' or 'deny'
+
+      if (isNaN(appealId) || appealId <= 0) {
+        connection.release();
+        return res.status(400).json({ error: "Invalid appeal ID" });
+      }
+      if (!["accept", "deny"].includes(action)) {
+        connection.release();
+        return res
+          .status(400)
+          .json({ error: 'Invalid action. Must be "accept" or "deny"' });
+      }
+
+      const hasNotes =
+        adminNotes !== undefined &&
+        adminNotes !== null &&
+        !(typeof adminNotes === "string" && adminNotes.trim() === "");
+      const sanitizedNotes = hasNotes ? validateString(adminNotes, 2000) : null;
+      if (hasNotes && !sanitizedNotes) {
+        connection.release();
+        return res
+          .status(400)
+          .json({ error: "Admin notes must be text of at most 2000 characters" });
+      }
+
+      await ensureAppealsTable();
+      await connection.beginTransaction();
+
+      const [appealResult] = await connection.query(
+        `SELECT * FROM order_appeals WHERE id = ? AND status = 'PENDING' FOR UPDATE`,
+        [appealId]
+      );
+      if (appealResult.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res
+          .status(404)
+          .json({ error: "Appeal not found or already processed" });
+      }
+      const appeal = appealResult[0];
+
+      if (action === "deny") {
+        await connection.query(
+          `UPDATE order_appeals
+           SET status = 'DENIED', admin_id = ?, admin_notes = ?, resolved_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [req.user.id, sanitizedNotes, appealId]
+        );
+        await connection.commit();
+        connection.release();
+
+        console.log(`Appeal ${appealId} denied by admin ${req.user.id}`);
+        return res.json({ message: "Appeal denied", appealId });
+      }
+
+      const [orderResult] = await connection.query(
+        `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
+        [appeal.order_id]
+      );
+      const order = orderResult[0];
+      if (!order || !canTransition(order.status, "PENDING")) {
+        await connection.rollback();
+        connection.release();
+        return res
+          .status(400)
+          .json({ error: "Order can no longer be re-opened" });
+      }
+
+      const [userResult] = await connection.query(
+        `SELECT points_balance FROM users WHERE id = ? FOR UPDATE`,
+        [order.user_id]
+      );
+      const balance = Number(userResult[0]?.points_balance) || 0;
+      if (balance < Number(order.points_used)) {
+        // Leave the appeal open so it can be accepted once the reseller tops up
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          error: "Insufficient points to re-open the order",
+          required: order.points_used,
+          available: balance,
+        });
+      }
+
+      // Drop the previous decision so the order reads (and is receipted) as a fresh one
+      await connection.query(
+        `UPDATE orders
+         SET status = 'PENDING', claimed_by = NULL, claimed_at = NULL, fulfilment_provider = NULL,
+             rejection_reason = NULL, admin_notes = NULL, external_reference = NULL,
+             completion_proof = NULL, delivered_quantity = NULL, refunded_points = NULL,
+             queued_at = CURRENT_TIMESTAMP, escalated_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [order.id]
+      );
+
+      await connection.query(
+        `UPDATE users
+         SET points_balance = points_balance - ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [order.points_used, order.user_id]
+      );
+
+      await connection.query(
+        `INSERT INTO transactions (user_id, amount, transaction_type, description, admin_id)
+         VALUES (?, ?, 'DEDUCTED', ?, ?)`,
+        [
+          order.user_id,
+          order.points_used,
+          `Order re-opened after appeal: ${order.order_number} (Appeal #${appealId})`,
+          req.user.id,
+        ]
+      );
+
+      await recordOrderEvent(connection, {
+        orderId: order.id,
+        eventType: "REOPENED",
+        actor: { type: "ADMIN", id: req.user.id },
+        fromStatus: "REJECTED",
+        toStatus: "PENDING",
+        reason: `Appeal #${appealId} accepted`,
+      });
+
+      await connection.query(
+        `UPDATE order_appeals
+         SET status = 'ACCEPTED', admin_id = ?, admin_notes = ?, points_deducted = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.user.id, sanitizedNotes, order.points_used, appealId]
+      );
+
+      await connection.commit();
+      connection.release();
+
+      // The order is back in the pending queue: announce it like a new one (streams, Telegram,
+      // webhooks, and its provider when the package is fulfilled automatically)
+      const [reopened] = await pool.query(`SELECT o.* FROM orders o WHERE o.id = ?`, [
+        order.id,
+      ]);
+      announceNewOrder(reopened[0]);
+
+      console.log(
+        `Appeal ${appealId} accepted by admin ${req.user.id}, order ${order.id} re-opened`
+      );
+
+      res.json({
+        message: "Appeal accepted, order re-opened",
+        appealId,
+        orderId: order.id,
+      });
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error("Process appeal error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to process appeal", details: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,6 @@ const express = require("express");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
-const nodemailer = require("nodemailer");
 const multer = require("multer");
 const pool = require("../database/connection");
 const upload = require("../middleware/upload");
@@ -17,6 +16,7 @@ const {
   removeSubscriber,
 } = require("../utils/pendingStatusStream");
 const { getAllowedOrigin } = require("../utils/cors");
+const { getSmtpTransport } = require("../utils/mailer");
 const {
   sendTelegramUserRegistrationNotification,
 } = require("../utils/telegramNotify");
@@ -86,31 +86,6 @@ const handleRegistrationUpload = (req, res, next) => {
   });
 };
 
-let smtpTransport = null;
-
-const getSmtpTransport = () => {
-  if (smtpTransport) return smtpTransport;
-
-  const host = process.env.SMTP_HOST;
-  const port = Number(process.env.SMTP_PORT || 0);
-  const secure = String(process.env.SMTP_SECURE || "").toLowerCase() === "true";
-  const user = process.env.SMTP_USER;
-  const pass = process.env.SMTP_PASS;
-
-  if (!host || !port) {
-    return null;
-  }
-
-  smtpTransport = nodemailer.createTransport({
-    host,
-    port,
-    secure,
-    auth: user && pass ? { user, pass } : undefined,
-  });
-
-  return smtpTransport;
-};
-
 const ensurePasswordResetTable = async () => {
   await pool.query(
     `CREATE TABLE IF NOT EXISTS password_reset_tokens (
@@ -0,0 +1,215 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken } = require("../middleware/auth");
+const { validateString, validateInteger } = require("../middleware/security");
+const { uploadOrderPhoto } = require("../middleware/upload");
+const {
+  ensureSavedClientsTable,
+  getSavedClient,
+} = require("../utils/savedClients");
+const router = express.Router();
+
+const sanitizeImoId = (value) =>
+  typeof value === "string" && value.trim() !== ""
+    ? value.trim().substring(0, 100)
+    : null;
+
+// Notes: an empty string (or null) clears them; anything else must be valid text of up to 1000 chars
+const parseNotes = (value) => {
+  if (value === null || (typeof value === "string" && value.trim() === "")) {
+    return { notes: null };
+  }
+  const notes = validateString(value, 1000);
+  return notes
+    ? { notes }
+    : { error: "Notes must be text of at most 1000 characters" };
+};
+
+// List own saved clients, most recently ordered first
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    await ensureSavedClientsTable();
+    const [clients] = await pool.query(
+      `SELECT id, nickname, client_imo_id, profile_photo, notes, last_ordered_at, created_at, updated_at
+       FROM saved_clients
+       WHERE user_id = ?
+       ORDER BY last_ordered_at IS NULL, last_ordered_at DESC, nickname ASC`,
+      [req.user.id]
+    );
+    res.json({ clients: clients || [] });
+  } catch (error) {
+    console.error("Get saved clients error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch saved clients", details: error.message });
+  }
+});
+
+// Get one saved client
+router.get("/:clientId", authenticateToken, async (req, res) => {
+  try {
+    const clientId = validateInteger(req.params.clientId, 1);
+    if (!clientId) {
+      return res.status(400).json({ error: "Invalid client ID" });
+    }
+    const client = await getSavedClient(req.user.id, clientId);
+    if (!client) {
+      return res.status(404).json({ error: "Saved client not found" });
+    }
+    res.json({ client });
+  } catch (error) {
+    console.error("Get saved client error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch saved client", details: error.message });
+  }
+});
+
+// Save a client (nickname, IMO ID, optional profile photo and notes)
+router.post("/", authenticateToken, uploadOrderPhoto, async (req, res) => {
+  try {
+    const nickname = validateString(req.body.nickname, 100);
+    const clientImoId = sanitizeImoId(req.body.clientImoId);
+    const parsedNotes =
+      req.body.notes === undefined ? { notes: null } : parseNotes(req.body.notes);
+
+    if (!nickname) {
+      return res.status(400).json({ error: "Nickname is required" });
+    }
+    if (!clientImoId) {
+      return res.status(400).json({ error: "Client IMO ID is required" });
+    }
+    if (parsedNotes.error) {
+      return res.status(400).json({ error: parsedNotes.error });
+    }
+
+    await ensureSavedClientsTable();
+    const [result] = await pool.query(
+      `INSERT INTO saved_clients (user_id, nickname, client_imo_id, profile_photo, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        req.user.id,
+        nickname,
+        clientImoId,
+        req.file ? req.file.filename : null,
+        parsedNotes.notes,
+      ]
+    );
+
+    const client = await getSavedClient(req.user.id, result.insertId);
+    res.status(201).json({ message: "Client saved successfully", client });
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      return res
+        .status(400)
+        .json({ error: "A saved client with this IMO ID already exists" });
+    }
+    console.error("Create saved client error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to save client", details: error.message });
+  }
+});
+
+// Update a saved client
+router.put(
+  "/:clientId",
+  authenticateToken,
+  uploadOrderPhoto,
+  async (req, res) => {
+    try {
+      const clientId = validateInteger(req.params.clientId, 1);
+      if (!clientId) {
+        return res.status(400).json({ error: "Invalid client ID" });
+      }
+
+      const existing = await getSavedClient(req.user.id, clientId);
+      if (!existing) {
+        return res.status(404).json({ error: "Saved client not found" });
+      }
+
+      const { nickname, clientImoId, notes } = req.body;
+      const updates = [];
+      const values = [];
+
+      if (nickname !== undefined) {
+        const safeNickname = validateString(nickname, 100);
+        if (!safeNickname) {
+          return res.status(400).json({ error: "Invalid nickname" });
+        }
+        updates.push("nickname = ?");
+        values.push(safeNickname);
+      }
+      if (clientImoId !== undefined) {
+        const safeImoId = sanitizeImoId(clientImoId);
+        if (!safeImoId) {
+          return res.status(400).json({ error: "Invalid client IMO ID" });
+        }
+        updates.push("client_imo_id = ?");
+        values.push(safeImoId);
+      }
+      if (notes !== undefined) {
+        const parsedNotes = parseNotes(notes);
+        if (parsedNotes.error) {
+          return res.status(400).json({ error: parsedNotes.error });
+        }
+        updates.push("notes = ?");
+        values.push(parsedNotes.notes);
+      }
+      if (req.file) {
+        updates.push("profile_photo = ?");
+        values.push(req.file.filename);
+      }
+
+      if (updates.length === 0) {
+        return res.status(400).json({ error: "No valid fields to update" });
+      }
+
+      values.push(clientId, req.user.id);
+      await pool.query(
+        `UPDATE saved_clients SET ${updates.join(", ")} WHERE id = ? AND user_id = ?`,
+        values
+      );
+
+      const client = await getSavedClient(req.user.id, clientId);
+      res.json({ message: "Client updated successfully", client });
+    } catch (error) {
+      if (error.code === "ER_DUP_ENTRY") {
+        return res
+          .status(400)
+          .json({ error: "A saved client with this IMO ID already exists" });
+      }
+      console.error("Update saved client error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update client", details: error.message });
+    }
+  }
+);
+
+// Delete a saved client (past orders keep their IMO ID)
+router.delete("/:clientId", authenticateToken, async (req, res) => {
+  try {
+    const clientId = validateInteger(req.params.clientId, 1);
+    if (!clientId) {
+      return res.status(400).json({ error: "Invalid client ID" });
+    }
+
+    await ensureSavedClientsTable();
+    const [result] = await pool.query(
+      "DELETE FROM saved_clients WHERE id = ? AND user_id = ?",
+      [clientId, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Saved client not found" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete saved client error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to delete client", details: error.message });
+  }
+});
+
+module.exports = router;
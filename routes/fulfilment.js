@@ -0,0 +1,81 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateInteger } = require("../middleware/security");
+const {
+  FULFILMENT_MODES,
+  FULFILMENT_TIMEOUT_MINUTES,
+  ensureFulfilmentTable,
+  handleProviderCallback,
+} = require("../utils/fulfilment");
+const { getProviderNames } = require("../utils/providers");
+const router = express.Router();
+
+const ATTEMPT_STATUSES = ["SUBMITTING", "SUBMITTED", "COMPLETED", "FAILED", "ERROR"];
+
+// Provider callback: pushes a result instead of waiting for the next poll.
+// No user auth - the provider adapter verifies the request (signature / token).
+router.post("/callback/:provider", async (req, res) => {
+  try {
+    const applied = await handleProviderCallback(req.params.provider, req);
+    if (!applied) {
+      return res.status(404).json({ error: "Unknown provider or reference" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[Fulfilment] Callback error:", err);
+    res.status(500).json({ error: "Failed to process callback" });
+  }
+});
+
+// Admin: available providers and fulfilment settings, for the package editor
+router.get("/providers", authenticateToken, requireAdmin, (req, res) => {
+  res.json({
+    providers: getProviderNames(),
+    modes: FULFILMENT_MODES,
+    timeoutMinutes: FULFILMENT_TIMEOUT_MINUTES,
+  });
+});
+
+// Admin: recent provider attempts (?orderId, ?status)
+router.get("/attempts", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    if (req.query.orderId !== undefined) {
+      const orderId = validateInteger(req.query.orderId, 1);
+      if (!orderId) {
+        return res.status(400).json({ error: "Invalid order ID" });
+      }
+      conditions.push("fa.order_id = ?");
+      values.push(orderId);
+    }
+    if (req.query.status !== undefined) {
+      const status = String(req.query.status).toUpperCase();
+      if (!ATTEMPT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid attempt status" });
+      }
+      conditions.push("fa.status = ?");
+      values.push(status);
+    }
+    const limit = validateInteger(req.query.limit, 1, 200) || 50;
+
+    await ensureFulfilmentTable();
+    const [rows] = await pool.query(
+      `SELECT fa.*, o.order_number, UPPER(TRIM(o.status)) AS order_status
+       FROM fulfilment_attempts fa
+       LEFT JOIN orders o ON fa.order_id = o.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY fa.id DESC
+       LIMIT ?`,
+      [...values, limit]
+    );
+    res.json({ attempts: rows });
+  } catch (err) {
+    console.error("[Fulfilment] Attempt list error:", err);
+    res.status(500).json({ error: "Failed to fetch fulfilment attempts" });
+  }
+});
+
+module.exports = router;
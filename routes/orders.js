@@ -1,30 +1,237 @@
 const express = require("express");
+const crypto = require("crypto");
 const pool = require("../database/connection");
 const { authenticateToken, requireAdmin } = require("../middleware/auth");
-const { orderLimiter, validateInteger } = require("../middleware/security");
-const { uploadOrderPhoto } = require("../middleware/upload");
+const {
+  orderLimiter,
+  validateString,
+  validateInteger,
+} = require("../middleware/security");
+const {
+  uploadOrderPhoto,
+  uploadCompletionProof,
+  uploadOrderCsv,
+} = require("../middleware/upload");
 const {
   addSubscriber,
   removeSubscriber,
-  notifyNewOrder,
+  replayEvents,
+  notifyOrderClaimed,
+  notifyOrderUpdated,
+  notifyOrderRemoved,
 } = require("../utils/orderStream");
+const {
+  addUserSubscriber,
+  removeUserSubscriber,
+  publishOrderUpdate,
+} = require("../utils/userOrderStream");
 const { getAllowedOrigin } = require("../utils/cors");
 const {
-  sendTelegramOrderNotification,
-} = require("../utils/telegramNotify");
+  DUPLICATE_WINDOW_MINUTES,
+  findRecentDuplicates,
+  insertOrderWithDeduction,
+  refundOrderPoints,
+  announceNewOrder,
+} = require("../utils/orderService");
+const { checkOrderLimits } = require("../utils/orderLimits");
+const {
+  decideOrder,
+  addWeeklyRewardForUser,
+} = require("../utils/orderDecision");
+const { emitOrderWebhook } = require("../utils/webhooks");
+const { parseOrderNumber } = require("../utils/orderNumbers");
+const {
+  getUserDiscount,
+  priceOrder,
+  quoteOrder,
+} = require("../utils/pricing");
+const { parseOrderCsv } = require("../utils/orderCsv");
+const {
+  SLA_ESCALATE_MINUTES,
+  SLA_EXPIRE_HOURS,
+  MINUTES_IN_QUEUE_SQL,
+} = require("../utils/orderSla");
+const { recordOrderEvent, getOrderEvents } = require("../utils/orderEvents");
+const {
+  getSavedClient,
+  touchSavedClient,
+} = require("../utils/savedClients");
+const {
+  parseOrderListQuery,
+  fetchOrderPage,
+} = require("../utils/orderQuery");
+const {
+  getActivePackages,
+  findActivePackage,
+} = require("../utils/packageCatalog");
+const {
+  getProduct,
+  getDefaultProduct,
+  getActiveProducts,
+  parseRecipientInput,
+  validateRecipient,
+  resolveOrderRecipient,
+  isDefaultProduct,
+} = require("../utils/productCatalog");
+const {
+  REJECTION_REASONS,
+  CLAIM_TIMEOUT_MINUTES,
+  normalizeStatus,
+  getRejectionReasonLabel,
+  canTransition,
+  isClaimHeldByOther,
+  getClaimConflictError,
+} = require("../utils/orderStatus");
 const router = express.Router();
 
-// Available diamond packages (fixed options)
-const DIAMOND_PACKAGES = [10, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+// Get active products with their recipient fields and packages, priced for the user
+router.get("/products", authenticateToken, async (req, res) => {
+  try {
+    const products = await getActiveProducts();
+    const catalog = await getActivePackages();
+    const discount = await getUserDiscount(req.user.id);
+    res.json({
+      products: products.map((product) => ({
+        ...product,
+        packages: catalog
+          .filter((pkg) => pkg.product_id === product.id)
+          .map((pkg) => ({
+            ...pkg,
+            unit_price: priceOrder(pkg, 1, discount).unitPrice,
+          })),
+      })),
+      discountPercent: discount.discountPercent,
+    });
+  } catch (error) {
+    console.error("Get products error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch products", details: error.message });
+  }
+});
+
+// Get available packages of one product (?productId, default IMO Diamonds) with the user's unit price
+router.get("/packages", authenticateToken, async (req, res) => {
+  try {
+    const product =
+      req.query.productId !== undefined
+        ? await getProduct(validateInteger(req.query.productId, 1))
+        : await getDefaultProduct();
+    if (!product || !product.is_active) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const catalog = await getActivePackages(pool, product.id);
+    const discount = await getUserDiscount(req.user.id);
+    res.json({
+      product,
+      packages: catalog.map((pkg) => pkg.diamond_amount),
+      catalog: catalog.map((pkg) => ({
+        ...pkg,
+        unit_price: priceOrder(pkg, 1, discount).unitPrice,
+      })),
+      discountPercent: discount.discountPercent,
+    });
+  } catch (error) {
+    console.error("Get packages error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch packages", details: error.message });
+  }
+});
+
+// Price quote for an order before it is submitted (same pricing as POST /request)
+router.get("/quote", authenticateToken, async (req, res) => {
+  try {
+    const { productId, packageId, diamondAmount, quantity = 1 } = req.query;
+
+    const selectedPackage = await findActivePackage({
+      productId: validateInteger(productId, 1),
+      packageId: validateInteger(packageId, 1),
+      diamondAmount: validateInteger(diamondAmount, 1),
+    });
+    if (!selectedPackage) {
+      return res.status(400).json({ error: "Invalid package" });
+    }
+
+    const qty = validateInteger(
+      quantity,
+      selectedPackage.min_quantity,
+      selectedPackage.max_quantity
+    );
+    if (!qty) {
+      return res.status(400).json({
+        error: `Quantity must be between ${selectedPackage.min_quantity} and ${selectedPackage.max_quantity}`,
+      });
+    }
+
+    const quote = await quoteOrder(req.user.id, selectedPackage, qty);
 
-// Get available diamond packages
-router.get("/packages", authenticateToken, (req, res) => {
-  res.json({ packages: DIAMOND_PACKAGES });
+    res.json({
+      quote,
+      points_balance: req.user.points_balance,
+      sufficientBalance: Number(req.user.points_balance) >= quote.pointsNeeded,
+    });
+  } catch (error) {
+    console.error("Get order quote error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to calculate quote", details: error.message });
+  }
 });
 
 // This endpoint is no longer needed - removed recipient selection
 
-// Create diamond request (order) - Parent User submits for Client
+// Read the optional Idempotency-Key header; returns undefined when it is malformed
+const getIdempotencyKey = (req) => {
+  const header = req.get("Idempotency-Key");
+  if (header === undefined) return null;
+  const key = header.trim();
+  if (!key || key.length > 100 || !/^[\x21-\x7E]+$/.test(key)) {
+    return undefined;
+  }
+  return key;
+};
+
+// Fingerprint of the order payload so a reused key with different data is caught.
+// Taken from the request as sent (numbers as text, as multipart forms send them), so a retry
+// can be answered before the catalog is checked.
+const hashOrderRequest = (fields) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify(
+        fields.map((value) =>
+          value === undefined || value === null || value === ""
+            ? null
+            : typeof value === "object"
+            ? value
+            : String(value)
+        )
+      )
+    )
+    .digest("hex");
+
+// Reply to a retried request: the original order, or a conflict if the payload changed
+const respondToIdempotentRetry = (res, existingOrder, requestHash) => {
+  if (existingOrder.request_hash !== requestHash) {
+    return res.status(409).json({
+      error:
+        "Idempotency-Key has already been used for a different order request",
+      orderNumber: existingOrder.order_number,
+    });
+  }
+  res.setHeader("Idempotent-Replayed", "true");
+  return res.status(200).json({
+    message: "Diamond request already submitted",
+    order: existingOrder,
+    idempotentReplay: true,
+  });
+};
+
+// Create diamond request (order) - Parent User submits for Client.
+// `recipient` holds the product's recipient fields (object, or JSON text in multipart forms);
+// `clientImoId` or a saved client can stand in for the first field, the recipient ID.
 router.post(
   "/request",
   authenticateToken,
@@ -34,49 +241,128 @@ router.post(
     const connection = await pool.getConnection();
 
     try {
-      const { diamondAmount, quantity, clientImoId } = req.body;
+      const {
+        productId,
+        packageId,
+        diamondAmount,
+        quantity,
+        recipient,
+        clientImoId,
+        savedClientId,
+        confirmDuplicate,
+      } = req.body;
       const userId = req.user.id;
+      const requestedProductId = validateInteger(productId, 1);
       const profilePhotoFile = req.file; // From multer
 
-      // Validate and sanitize inputs
-      const validatedAmount = validateInteger(diamondAmount);
-      if (!validatedAmount || !DIAMOND_PACKAGES.includes(validatedAmount)) {
+      const idempotencyKey = getIdempotencyKey(req);
+      if (idempotencyKey === undefined) {
         connection.release();
         return res.status(400).json({
-          error: `Invalid diamond amount. Must be one of: ${DIAMOND_PACKAGES.join(
-            ", "
-          )}`,
+          error:
+            "Invalid Idempotency-Key header (1-100 printable characters, no spaces)",
         });
       }
 
-      const validatedQty = validateInteger(quantity, 1, 100);
+      // A retried request with the same key returns the original order without deducting
+      // again, even if its package or recipient would no longer pass validation
+      const requestHash = idempotencyKey
+        ? hashOrderRequest([
+            productId,
+            packageId,
+            diamondAmount,
+            quantity,
+            parseRecipientInput(recipient),
+            clientImoId,
+            savedClientId,
+          ])
+        : null;
+      if (idempotencyKey) {
+        const [existingOrders] = await connection.query(
+          `SELECT * FROM orders WHERE user_id = ? AND idempotency_key = ?`,
+          [userId, idempotencyKey]
+        );
+        if (existingOrders.length > 0) {
+          connection.release();
+          return respondToIdempotentRetry(res, existingOrders[0], requestHash);
+        }
+      }
+
+      // Validate and sanitize inputs against the active package catalog
+      const selectedPackage = await findActivePackage(
+        {
+          productId: requestedProductId,
+          packageId: validateInteger(packageId, 1),
+          diamondAmount: validateInteger(diamondAmount, 1),
+        },
+        connection
+      );
+      if (!selectedPackage) {
+        const activePackages = await getActivePackages(
+          connection,
+          requestedProductId || (await getDefaultProduct(connection))?.id
+        );
+        connection.release();
+        return res.status(400).json({
+          error: `Invalid diamond amount. Must be one of: ${activePackages
+            .map((pkg) => pkg.diamond_amount)
+            .join(", ")}`,
+        });
+      }
+
+      const validatedQty = validateInteger(
+        quantity,
+        selectedPackage.min_quantity,
+        selectedPackage.max_quantity
+      );
       if (!validatedQty) {
         connection.release();
-        return res
-          .status(400)
-          .json({ error: "Quantity must be between 1 and 100" });
+        return res.status(400).json({
+          error: `Quantity must be between ${selectedPackage.min_quantity} and ${selectedPackage.max_quantity}`,
+        });
       }
 
-      // Validate client IMO ID (required)
-      if (
-        !clientImoId ||
-        typeof clientImoId !== "string" ||
-        clientImoId.trim() === ""
-      ) {
+      const product = await getProduct(selectedPackage.product_id, connection);
+
+      const recipientInput = parseRecipientInput(recipient);
+      if (!recipientInput) {
         connection.release();
-        return res.status(400).json({ error: "Client IMO ID is required" });
+        return res.status(400).json({ error: "Invalid recipient details" });
+      }
+
+      // A saved client can stand in for the raw IMO ID and profile photo
+      let savedClient = null;
+      if (savedClientId !== undefined && savedClientId !== "") {
+        const validatedClientId = validateInteger(savedClientId, 1);
+        savedClient = validatedClientId
+          ? await getSavedClient(userId, validatedClientId, connection)
+          : null;
+        if (!savedClient) {
+          connection.release();
+          return res.status(404).json({ error: "Saved client not found" });
+        }
       }
 
-      // Sanitize client IMO ID
-      const sanitizedClientImoId = clientImoId.trim().substring(0, 100);
+      // Validate the recipient against the product's fields (the first one is the recipient ID)
+      const validatedRecipient = resolveOrderRecipient(product, recipientInput, {
+        clientImoId,
+        savedClient,
+      });
+      if (validatedRecipient.error) {
+        connection.release();
+        return res.status(400).json({ error: validatedRecipient.error });
+      }
+      const sanitizedClientImoId = validatedRecipient.recipientId;
 
-      // Handle profile photo filename (optional)
+      // Handle profile photo filename (optional) - a fresh upload wins over the saved photo
       const profilePhotoFilename = profilePhotoFile
         ? profilePhotoFile.filename
+        : savedClient
+        ? savedClient.profile_photo
         : null;
 
       const qty = validatedQty;
-      const diamondAmountInt = validatedAmount;
+      const diamondAmountInt = selectedPackage.diamond_amount;
 
       // Calculate total points needed - prevent integer overflow
       const totalDiamonds = diamondAmountInt * qty;
@@ -85,7 +371,53 @@ router.post(
         connection.release();
         return res.status(400).json({ error: "Order amount too large" });
       }
-      const pointsNeeded = totalDiamonds; // 1 point = 1 diamond
+      // Point cost from the package price and the user's role / tier / personal discount
+      const quote = await quoteOrder(userId, selectedPackage, qty, connection);
+      const pointsNeeded = quote.pointsNeeded;
+
+      // Same client, amount and quantity shortly after another order: ask the reseller to confirm
+      const duplicates = await findRecentDuplicates(connection, {
+        userId,
+        productId: product.id,
+        clientImoId: sanitizedClientImoId,
+        diamondAmount: diamondAmountInt,
+        quantity: qty,
+      });
+      const duplicateConfirmed =
+        confirmDuplicate === true || confirmDuplicate === "true";
+      if (duplicates.length > 0 && !duplicateConfirmed) {
+        connection.release();
+        return res.status(409).json({
+          error: `A matching order for this client was placed in the last ${DUPLICATE_WINDOW_MINUTES} minutes. Resubmit with confirmDuplicate=true to place it anyway.`,
+          duplicateWarning: true,
+          duplicates: duplicates.map((order) => ({
+            id: order.id,
+            order_number: order.order_number,
+            status: order.status,
+            created_at: order.created_at,
+          })),
+        });
+      }
+
+      // Per-account velocity and spend limits
+      const limitHit = await checkOrderLimits(
+        userId,
+        {
+          totalDiamonds: isDefaultProduct(product) ? totalDiamonds : 0,
+          pointsNeeded,
+        },
+        connection
+      );
+      if (limitHit) {
+        connection.release();
+        if (limitHit.resetsAt) {
+          res.setHeader(
+            "Retry-After",
+            Math.max(1, Math.ceil((limitHit.resetsAt - Date.now()) / 1000))
+          );
+        }
+        return res.status(429).json(limitHit);
+      }
 
       // Check user has enough points
       const [userCheck] = await connection.query(
@@ -109,59 +441,42 @@ router.post(
 
       await connection.beginTransaction();
 
-      // Generate unique order number
-      const orderNumber = `ORD-${Date.now()}-${Math.random()
-        .toString(36)
-        .substr(2, 9)
-        .toUpperCase()}`;
-
-      // Create order with client IMO ID and profile photo
-      let orderResult;
+      // Create order with client IMO ID and profile photo, and deduct its points
+      let created;
       try {
-        // Check if client_profile_photo column exists
-        const [columns] = await connection.query(
-          `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS 
-         WHERE TABLE_SCHEMA = DATABASE() 
-         AND TABLE_NAME = 'orders' 
-         AND COLUMN_NAME = 'client_profile_photo'`
-        );
-
-        const hasProfilePhoto = columns.some(
-          (col) => col.COLUMN_NAME === "client_profile_photo"
-        );
-
-        let insertQuery, insertValues;
-
-        if (hasProfilePhoto) {
-          // client_profile_photo column exists
-          insertQuery = `INSERT INTO orders (order_number, user_id, client_imo_id, client_profile_photo, diamond_amount, quantity, points_used, status)
-                       VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING')`;
-          insertValues = [
-            orderNumber,
-            userId,
-            sanitizedClientImoId,
-            profilePhotoFilename,
-            diamondAmountInt,
-            qty,
-            pointsNeeded,
-          ];
-        } else {
-          // Fallback to original query
-          insertQuery = `INSERT INTO orders (order_number, user_id, client_imo_id, diamond_amount, quantity, points_used, status)
-                       VALUES (?, ?, ?, ?, ?, ?, 'PENDING')`;
-          insertValues = [
-            orderNumber,
-            userId,
-            sanitizedClientImoId,
-            diamondAmountInt,
-            qty,
-            pointsNeeded,
-          ];
-        }
-
-        [orderResult] = await connection.query(insertQuery, insertValues);
+        created = await insertOrderWithDeduction(connection, {
+          userId,
+          clientImoId: sanitizedClientImoId,
+          recipientDetails: validatedRecipient.details,
+          savedClientId: savedClient ? savedClient.id : null,
+          profilePhoto: profilePhotoFilename,
+          productId: product.id,
+          packageId: selectedPackage.id,
+          unitLabel: product.unit_label,
+          diamondAmount: diamondAmountInt,
+          quantity: qty,
+          pointsNeeded,
+          unitPrice: quote.unitPrice,
+          discountPercent: quote.discountPercent,
+          idempotencyKey,
+          requestHash,
+          duplicateOf: duplicates.length > 0 ? duplicates[0].id : null,
+        });
       } catch (err) {
-        if (err.code === "ER_BAD_FIELD_ERROR") {
+        if (err.code === "ER_DUP_ENTRY" && idempotencyKey) {
+          // A concurrent retry with the same key inserted first
+          await connection.rollback();
+          const [existingOrders] = await connection.query(
+            `SELECT * FROM orders WHERE user_id = ? AND idempotency_key = ?`,
+            [userId, idempotencyKey]
+          );
+          if (existingOrders.length > 0) {
+            connection.release();
+            return respondToIdempotentRetry(res, existingOrders[0], requestHash);
+          }
+          throw err;
+        } else if (err.code === "ER_BAD_FIELD_ERROR") {
+          await connection.rollback();
           connection.release();
           return res.status(500).json({
             error:
@@ -172,55 +487,26 @@ router.post(
         }
       }
 
-      // Deduct points from user
-      await connection.query(
-        `UPDATE users 
-       SET points_balance = points_balance - ?, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = ?`,
-        [pointsNeeded, userId]
-      );
-
-      // Record transaction
-      await connection.query(
-        `INSERT INTO transactions (user_id, amount, transaction_type, description)
-       VALUES (?, ?, 'DEDUCTED', ?)`,
-        [
-          userId,
-          pointsNeeded,
-          `Diamond request: ${qty}x ${diamondAmountInt} diamonds (Order: ${orderNumber})`,
-        ]
-      );
+      if (savedClient) {
+        await touchSavedClient(savedClient.id, connection);
+      }
 
       await connection.commit();
 
       // Get created order
-      const [result] = await connection.query(
+      const [newOrder] = await connection.query(
         `SELECT o.* FROM orders o WHERE o.id = ?`,
-        [orderResult.insertId]
-      );
-      const newOrder = result;
-
-      const [requesterResult] = await connection.query(
-        `SELECT name, nickname, id_number FROM users WHERE id = ?`,
-        [userId]
+        [created.orderId]
       );
-      const requester = requesterResult[0] || null;
 
       connection.release();
 
       // Log without sensitive data
       console.log(
-        `Order created: ${orderNumber}, User ID: ${userId}, Diamonds: ${totalDiamonds}`
+        `Order created: ${created.orderNumber}, User ID: ${userId}, ${product.code}: ${totalDiamonds}`
       );
 
-      try {
-        notifyNewOrder(newOrder[0]);
-      } catch (notifyError) {
-        console.warn("Failed to notify new order:", notifyError);
-      }
-      sendTelegramOrderNotification(newOrder[0], requester).catch((notifyError) => {
-        console.warn("Failed to send Telegram order notification:", notifyError);
-      });
+      announceNewOrder(newOrder[0]);
 
       res.status(201).json({
         message: "Diamond request submitted successfully",
@@ -237,40 +523,273 @@ router.post(
   }
 );
 
-// Get user's orders (Parent User's submitted orders)
-router.get("/my-orders", authenticateToken, async (req, res) => {
-  try {
-    const statusFilter =
-      typeof req.query.status === "string" ? req.query.status.trim() : null;
-    const clientImoId =
-      typeof req.query.clientImoId === "string"
-        ? req.query.clientImoId.trim()
-        : null;
+// Submit many orders at once from a CSV of client IMO ID, package and quantity.
+// Every row is validated first; either all orders are created or none are.
+router.post(
+  "/bulk",
+  authenticateToken,
+  orderLimiter,
+  uploadOrderCsv,
+  async (req, res) => {
+    const userId = req.user.id;
+    const csvText = req.file
+      ? req.file.buffer.toString("utf8")
+      : typeof req.body.csv === "string"
+      ? req.body.csv
+      : null;
+    if (!csvText) {
+      return res
+        .status(400)
+        .json({ error: "Upload a CSV file (csvFile) or send it as csv text" });
+    }
+
+    const parsed = parseOrderCsv(csvText);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const connection = await pool.getConnection();
+
+    try {
+      const activePackages = await getActivePackages(connection);
+      const products = await getActiveProducts(connection);
+      const defaultProduct = await getDefaultProduct(connection);
+      const discount = await getUserDiscount(userId, connection);
+
+      // Validate every row against the package catalog before touching the balance
+      const report = parsed.rows.map((row) => {
+        const entry = { line: row.line, clientImoId: row.clientImoId };
+
+        let selectedPackage = null;
+        if (row.packageId) {
+          const packageId = validateInteger(row.packageId, 1);
+          selectedPackage = activePackages.find((pkg) => pkg.id === packageId);
+        } else if (row.package) {
+          // Package column holds a label, or a diamond amount of the default product
+          selectedPackage =
+            activePackages.find(
+              (pkg) => pkg.label.toLowerCase() === row.package.toLowerCase()
+            ) ||
+            (/^\d+$/.test(row.package)
+              ? activePackages.find(
+                  (pkg) =>
+                    pkg.product_id === defaultProduct?.id &&
+                    pkg.diamond_amount === parseInt(row.package)
+                )
+              : null);
+        }
+        if (!selectedPackage) {
+          return { ...entry, status: "INVALID", error: "Invalid package" };
+        }
+
+        const qty = validateInteger(
+          row.quantity,
+          selectedPackage.min_quantity,
+          selectedPackage.max_quantity
+        );
+        if (!qty) {
+          return {
+            ...entry,
+            status: "INVALID",
+            error: `Quantity must be between ${selectedPackage.min_quantity} and ${selectedPackage.max_quantity}`,
+          };
+        }
+
+        // The CSV only carries the recipient ID, so products needing more fields fail here
+        const product = products.find((p) => p.id === selectedPackage.product_id);
+        const validatedRecipient = validateRecipient(product, {
+          [product.recipient_fields[0].key]: row.clientImoId,
+        });
+        if (validatedRecipient.error) {
+          return { ...entry, status: "INVALID", error: validatedRecipient.error };
+        }
+
+        const totalDiamonds = selectedPackage.diamond_amount * qty;
+        if (totalDiamonds > 1000000) {
+          return { ...entry, status: "INVALID", error: "Order amount too large" };
+        }
+
+        const quote = priceOrder(selectedPackage, qty, discount);
+        return {
+          ...entry,
+          clientImoId: validatedRecipient.recipientId,
+          recipientDetails: validatedRecipient.details,
+          status: "VALID",
+          productId: product.id,
+          unitLabel: product.unit_label,
+          packageId: selectedPackage.id,
+          diamondAmount: selectedPackage.diamond_amount,
+          quantity: qty,
+          totalDiamonds,
+          unitPrice: quote.unitPrice,
+          discountPercent: quote.discountPercent,
+          pointsNeeded: quote.pointsNeeded,
+        };
+      });
+
+      const totalPoints =
+        Math.round(
+          report.reduce((sum, entry) => sum + (entry.pointsNeeded || 0), 0) *
+            100
+        ) / 100;
+
+      if (report.some((entry) => entry.status === "INVALID")) {
+        connection.release();
+        return res.status(400).json({
+          error: "Some rows are invalid. No orders were created.",
+          totalPoints,
+          rows: report,
+        });
+      }
+
+      // Per-account limits apply to the batch as a whole
+      const limitHit = await checkOrderLimits(
+        userId,
+        {
+          totalDiamonds: report
+            .filter((entry) =>
+              isDefaultProduct(products.find((p) => p.id === entry.productId))
+            )
+            .reduce((sum, entry) => sum + entry.totalDiamonds, 0),
+          pointsNeeded: Math.max(...report.map((entry) => entry.pointsNeeded)),
+          orderCount: report.length,
+        },
+        connection
+      );
+      if (limitHit) {
+        connection.release();
+        if (limitHit.resetsAt) {
+          res.setHeader(
+            "Retry-After",
+            Math.max(1, Math.ceil((limitHit.resetsAt - Date.now()) / 1000))
+          );
+        }
+        return res.status(429).json({ ...limitHit, rows: report });
+      }
+
+      await connection.beginTransaction();
 
-    const conditions = ["o.user_id = ?"];
-    const params = [req.user.id];
+      // Lock the balance so the whole batch is checked against one value
+      const [userCheck] = await connection.query(
+        `SELECT points_balance FROM users WHERE id = ? FOR UPDATE`,
+        [userId]
+      );
+      if (userCheck.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (Number(userCheck[0].points_balance) < totalPoints) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          error: "Insufficient points for this batch. No orders were created.",
+          required: totalPoints,
+          available: userCheck[0].points_balance,
+          rows: report,
+        });
+      }
+
+      const createdIds = [];
+      for (const entry of report) {
+        const created = await insertOrderWithDeduction(connection, {
+          userId,
+          clientImoId: entry.clientImoId,
+          recipientDetails: entry.recipientDetails,
+          productId: entry.productId,
+          packageId: entry.packageId,
+          unitLabel: entry.unitLabel,
+          diamondAmount: entry.diamondAmount,
+          quantity: entry.quantity,
+          pointsNeeded: entry.pointsNeeded,
+          unitPrice: entry.unitPrice,
+          discountPercent: entry.discountPercent,
+          descriptionPrefix: "Bulk diamond request",
+        });
+        entry.status = "CREATED";
+        entry.orderId = created.orderId;
+        entry.orderNumber = created.orderNumber;
+        createdIds.push(created.orderId);
+      }
+
+      await connection.commit();
+
+      const [newOrders] = await connection.query(
+        `SELECT o.* FROM orders o WHERE o.id IN (?) ORDER BY o.id ASC`,
+        [createdIds]
+      );
+
+      connection.release();
+
+      console.log(
+        `Bulk orders created: ${newOrders.length}, User ID: ${userId}, Points: ${totalPoints}`
+      );
 
-    if (statusFilter) {
-      conditions.push("UPPER(TRIM(o.status)) = ?");
-      params.push(statusFilter.toUpperCase());
+      for (const order of newOrders) {
+        announceNewOrder(order);
+      }
+
+      res.status(201).json({
+        message: `${newOrders.length} diamond requests submitted successfully`,
+        totalPoints,
+        rows: report,
+        orders: newOrders,
+      });
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error("Bulk create orders error:", error);
+      res.status(500).json({
+        error: "Failed to create orders. No orders were created.",
+        details: error.message,
+      });
     }
+  }
+);
 
-    if (clientImoId) {
-      conditions.push("COALESCE(TRIM(o.client_imo_id), '') = ?");
-      params.push(clientImoId);
+// Get user's orders (Parent User's submitted orders) - cursor paginated
+router.get("/my-orders", authenticateToken, async (req, res) => {
+  try {
+    const listQuery = parseOrderListQuery(req.query);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
     }
+    listQuery.conditions.unshift("o.user_id = ?");
+    listQuery.params.unshift(req.user.id);
 
-    const whereClause = conditions.join(" AND ");
-    const [result] = await pool.query(
-      `SELECT o.*, UPPER(TRIM(o.status)) AS status,
-       u.email as parent_user_email FROM orders o 
+    // Filter by saved client: orders linked to it, plus older ones for the same IMO ID
+    if (req.query.savedClientId !== undefined) {
+      const savedClientId = validateInteger(req.query.savedClientId, 1);
+      const savedClient = savedClientId
+        ? await getSavedClient(req.user.id, savedClientId)
+        : null;
+      if (!savedClient) {
+        return res.status(404).json({ error: "Saved client not found" });
+      }
+      listQuery.conditions.push(
+        "(o.saved_client_id = ? OR COALESCE(TRIM(o.client_imo_id), '') = ?)"
+      );
+      listQuery.params.push(savedClient.id, savedClient.client_imo_id);
+    }
+
+    const { orders, nextCursor, total } = await fetchOrderPage(pool, {
+      select: `o.*, UPPER(TRIM(o.status)) AS status,
+       u.email as parent_user_email,
+       pr.name as product_name, pr.unit_label`,
+      from: `FROM orders o 
        LEFT JOIN users u ON o.user_id = u.id
-       WHERE ${whereClause}
-       ORDER BY o.created_at DESC`,
-      params
-    );
+       LEFT JOIN products pr ON o.product_id = pr.id`,
+      listQuery,
+    });
 
-    res.json({ orders: result || [] });
+    res.json({
+      orders: orders.map((order) => ({
+        ...order,
+        rejection_reason_label: getRejectionReasonLabel(order.rejection_reason),
+      })),
+      nextCursor,
+      total,
+    });
   } catch (error) {
     console.error("Get orders error:", error);
     res
@@ -279,19 +798,81 @@ router.get("/my-orders", authenticateToken, async (req, res) => {
   }
 });
 
-// Get all pending orders (Admin only)
+// Search all orders with filters, sorting and cursor pagination (Admin only)
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const listQuery = parseOrderListQuery(req.query, { allowUserFilter: true });
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { orders, nextCursor, total } = await fetchOrderPage(pool, {
+      select: `o.*, UPPER(TRIM(o.status)) AS status,
+       u.name as parent_user_name, u.id_number as parent_user_id_number, u.email as parent_user_email,
+       c.name as claimed_by_name,
+       pr.name as product_name, pr.unit_label`,
+      from: `FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       LEFT JOIN users c ON o.claimed_by = c.id
+       LEFT JOIN products pr ON o.product_id = pr.id`,
+      listQuery,
+    });
+
+    res.json({
+      orders: orders.map((order) => ({
+        ...order,
+        rejection_reason_label: getRejectionReasonLabel(order.rejection_reason),
+      })),
+      nextCursor,
+      total,
+    });
+  } catch (error) {
+    console.error("Search orders error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to search orders", details: error.message });
+  }
+});
+
+// Get all pending and in-progress orders with their claimant, time in queue and duplicate flag (Admin only)
+// ?sort=oldest lists the longest-waiting orders first
 router.get("/pending", authenticateToken, requireAdmin, async (req, res) => {
   try {
+    const sortDir = req.query.sort === "oldest" ? "ASC" : "DESC";
     const [result] = await pool.query(
       `SELECT o.*, 
-       u.name as parent_user_name, u.id_number as parent_user_id_number, u.email as parent_user_email
+       u.name as parent_user_name, u.id_number as parent_user_id_number, u.email as parent_user_email,
+       c.name as claimed_by_name,
+       CASE WHEN o.claimed_at IS NULL THEN NULL
+            ELSE DATE_ADD(o.claimed_at, INTERVAL ? MINUTE) END as claim_expires_at,
+       ${MINUTES_IN_QUEUE_SQL} as minutes_in_queue,
+       d.order_number as duplicate_of_order_number,
+       pr.name as product_name, pr.unit_label, pr.recipient_fields,
+       CASE WHEN ? > 0 THEN DATE_ADD(COALESCE(o.queued_at, o.created_at), INTERVAL ? HOUR)
+            ELSE NULL END as sla_expires_at
        FROM orders o
        LEFT JOIN users u ON o.user_id = u.id
-       WHERE o.status = 'PENDING'
-       ORDER BY o.created_at DESC`
+       LEFT JOIN users c ON o.claimed_by = c.id
+       LEFT JOIN orders d ON o.duplicate_of = d.id
+       LEFT JOIN products pr ON o.product_id = pr.id
+       WHERE o.status IN ('PENDING', 'PROCESSING')
+       ORDER BY COALESCE(o.queued_at, o.created_at) ${sortDir}`,
+      [CLAIM_TIMEOUT_MINUTES, SLA_EXPIRE_HOURS, SLA_EXPIRE_HOURS]
     );
 
-    res.json({ orders: result || [] });
+    res.json({
+      orders: (result || []).map((order) => ({
+        ...order,
+        minutes_in_queue: Number(order.minutes_in_queue) || 0,
+        sla_escalated: Boolean(order.escalated_at),
+        // Reseller confirmed a likely duplicate - double-check before completing
+        possible_duplicate: Boolean(order.duplicate_of),
+      })),
+      sla: {
+        escalateAfterMinutes: SLA_ESCALATE_MINUTES,
+        expireAfterHours: SLA_EXPIRE_HOURS,
+      },
+    });
   } catch (error) {
     console.error("Get pending orders error:", error);
     res
@@ -308,9 +889,11 @@ router.get("/rejected", authenticateToken, requireAdmin, async (req, res) => {
   try {
     const [result] = await pool.query(
       `SELECT o.*, 
-       u.name as parent_user_name, u.id_number as parent_user_id_number, u.email as parent_user_email
+       u.name as parent_user_name, u.id_number as parent_user_id_number, u.email as parent_user_email,
+       pr.name as product_name, pr.unit_label
        FROM orders o
        LEFT JOIN users u ON o.user_id = u.id
+       LEFT JOIN products pr ON o.product_id = pr.id
        WHERE o.status = 'REJECTED'
        ORDER BY o.created_at DESC`
     );
@@ -327,39 +910,51 @@ router.get("/rejected", authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Stream new pending orders to admins (SSE)
+
+// Set the SSE headers (with CORS for allowed origins) and start the keep-alive.
+// Returns the keep-alive interval, or null when the origin was refused.
+const openEventStream = (req, res) => {
+  const origin = req.headers.origin;
+  const allowedOrigin = getAllowedOrigin(origin);
+  if (origin && !allowedOrigin) {
+    res.status(403).json({ error: "Origin not allowed" });
+    return null;
+  }
+  if (allowedOrigin) {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+  }
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Credentials", "true");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no");
+  if (typeof res.flushHeaders === "function") {
+    res.flushHeaders();
+  }
+
+  return setInterval(() => {
+    res.write(": keep-alive\n\n");
+  }, 25000);
+};
+
+// Stream pending queue changes to admins (SSE): new-order, order-claimed, order-updated,
+// order-removed and order-escalated. Reconnecting clients get missed events via Last-Event-ID.
 router.get(
   "/pending-stream",
   authenticateToken,
   requireAdmin,
   async (req, res) => {
     try {
-      const origin = req.headers.origin;
-      const allowedOrigin = getAllowedOrigin(origin);
-      if (origin && !allowedOrigin) {
-        return res.status(403).json({ error: "Origin not allowed" });
-      }
-      if (allowedOrigin) {
-        res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
-      }
-      res.setHeader("Vary", "Origin");
-      res.setHeader("Access-Control-Allow-Credentials", "true");
-      res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-      res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-      res.setHeader("Content-Type", "text/event-stream");
-      res.setHeader("Cache-Control", "no-cache, no-transform");
-      res.setHeader("Connection", "keep-alive");
-      res.setHeader("X-Accel-Buffering", "no");
-      if (typeof res.flushHeaders === "function") {
-        res.flushHeaders();
-      }
+      const keepAliveInterval = openEventStream(req, res);
+      if (!keepAliveInterval) return;
 
+      // EventSource sends the header itself on reconnect; the query parameter covers manual reconnects
+      replayEvents(res, req.get("Last-Event-ID") || req.query.lastEventId);
       addSubscriber(res);
 
-      const keepAliveInterval = setInterval(() => {
-        res.write(": keep-alive\n\n");
-      }, 25000);
-
       req.on("close", () => {
         clearInterval(keepAliveInterval);
         removeSubscriber(res);
@@ -375,9 +970,217 @@ router.get(
   }
 );
 
-// Update order status (Admin only)
-router.patch(
-  "/:orderId/status",
+// Stream the signed-in user's own order status and balance changes (SSE)
+router.get("/my-orders/stream", authenticateToken, async (req, res) => {
+  try {
+    const keepAliveInterval = openEventStream(req, res);
+    if (!keepAliveInterval) return;
+
+    const userId = req.user.id;
+    addUserSubscriber(userId, res);
+
+    // Send the current balance so the client starts in sync
+    res.write(
+      `event: balance\ndata: ${JSON.stringify({
+        points_balance: req.user.points_balance,
+      })}\n\n`
+    );
+
+    req.on("close", () => {
+      clearInterval(keepAliveInterval);
+      removeUserSubscriber(userId, res);
+    });
+  } catch (error) {
+    console.error("My orders stream error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to stream orders" });
+      return;
+    }
+    res.end();
+  }
+});
+
+// Cancel own pending order (Parent User) - refunds the points used
+router.post("/:orderId/cancel", authenticateToken, async (req, res) => {
+  const connection = await pool.getConnection();
+
+  try {
+    const orderId = parseInt(req.params.orderId);
+
+    if (isNaN(orderId) || orderId <= 0) {
+      connection.release();
+      return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    await connection.beginTransaction();
+
+    // Lock the order so an admin cannot complete it while it is being cancelled
+    const [orderResult] = await connection.query(
+      `SELECT * FROM orders WHERE id = ? AND user_id = ? FOR UPDATE`,
+      [orderId, req.user.id]
+    );
+
+    if (orderResult.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const order = orderResult[0];
+
+    if (!canTransition(order.status, "CANCELLED")) {
+      await connection.rollback();
+      connection.release();
+      return res
+        .status(400)
+        .json({ error: "Only pending orders can be cancelled" });
+    }
+
+    await connection.query(
+      `UPDATE orders
+       SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [orderId]
+    );
+
+    const actor = { type: "USER", id: req.user.id };
+    await recordOrderEvent(connection, {
+      orderId,
+      eventType: "CANCELLED",
+      actor,
+      fromStatus: normalizeStatus(order.status),
+      toStatus: "CANCELLED",
+    });
+
+    // Refund points to requester
+    await refundOrderPoints(
+      connection,
+      order,
+      `Order cancelled by user: ${order.order_number}`,
+      actor
+    );
+
+    await connection.commit();
+
+    const [balanceResult] = await connection.query(
+      `SELECT points_balance FROM users WHERE id = ?`,
+      [order.user_id]
+    );
+
+    connection.release();
+
+    try {
+      notifyOrderRemoved(order, "CANCELLED");
+    } catch (notifyError) {
+      console.warn("Failed to notify cancelled order:", notifyError);
+    }
+    publishOrderUpdate(
+      order,
+      "CANCELLED",
+      { refundedPoints: order.points_used },
+      { balanceChanged: true }
+    );
+    emitOrderWebhook(
+      "order.cancelled",
+      { ...order, refunded_points: order.points_used },
+      "CANCELLED"
+    );
+
+    console.log(`Order ${orderId} cancelled by user ${req.user.id}`);
+
+    res.json({
+      message: "Order cancelled successfully",
+      orderId: orderId,
+      refunded: order.points_used,
+      points_balance: balanceResult[0]?.points_balance,
+    });
+  } catch (error) {
+    await connection.rollback();
+    connection.release();
+    console.error("Cancel order error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to cancel order", details: error.message });
+  }
+});
+
+// Look up an order by its number, e.g. one read out over the phone (owner or admin)
+router.get("/number/:orderNumber", authenticateToken, async (req, res) => {
+  try {
+    const orderNumber = parseOrderNumber(req.params.orderNumber);
+    if (!orderNumber) {
+      return res.status(400).json({ error: "Invalid order number" });
+    }
+
+    const isAdmin = req.user.role === "ADMIN";
+    const [orderResult] = await pool.query(
+      `SELECT o.*, UPPER(TRIM(o.status)) AS status,
+              ${
+                isAdmin
+                  ? "u.name as parent_user_name, u.id_number as parent_user_id_number, c.name as claimed_by_name,"
+                  : ""
+              }
+              u.email as parent_user_email,
+              pr.name as product_name, pr.unit_label
+       FROM orders o
+       LEFT JOIN users u ON o.user_id = u.id
+       LEFT JOIN users c ON o.claimed_by = c.id
+       LEFT JOIN products pr ON o.product_id = pr.id
+       WHERE o.order_number = ?`,
+      [orderNumber]
+    );
+    const order = orderResult[0];
+    // Other users' orders are reported as missing so numbers cannot be probed
+    if (!order || (!isAdmin && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    res.json({
+      order: {
+        ...order,
+        rejection_reason_label: getRejectionReasonLabel(order.rejection_reason),
+      },
+    });
+  } catch (error) {
+    console.error("Get order by number error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch order", details: error.message });
+  }
+});
+
+// Get an order's event timeline (owner or admin)
+router.get("/:orderId/events", authenticateToken, async (req, res) => {
+  try {
+    const orderId = validateInteger(req.params.orderId, 1);
+    if (!orderId) {
+      return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    const [orderResult] = await pool.query(
+      `SELECT id, order_number, user_id, UPPER(TRIM(status)) AS status, created_at
+       FROM orders WHERE id = ?`,
+      [orderId]
+    );
+    const order = orderResult[0];
+    if (!order || (req.user.role !== "ADMIN" && order.user_id !== req.user.id)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const events = await getOrderEvents(orderId);
+
+    res.json({ order, events });
+  } catch (error) {
+    console.error("Get order events error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch order events", details: error.message });
+  }
+});
+
+// Claim a pending order for processing (Admin only) - locks it to this admin
+router.post(
+  "/:orderId/claim",
   authenticateToken,
   requireAdmin,
   async (req, res) => {
@@ -385,32 +1188,122 @@ router.patch(
 
     try {
       const orderId = parseInt(req.params.orderId);
-      const { status } = req.body;
 
-      // Validate inputs
       if (isNaN(orderId) || orderId <= 0) {
         connection.release();
         return res.status(400).json({ error: "Invalid order ID" });
       }
 
+      await connection.beginTransaction();
+
+      const [orderResult] = await connection.query(
+        `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
+        [orderId]
+      );
+
+      if (orderResult.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      const order = orderResult[0];
+
+      if (isClaimHeldByOther(order, req.user.id)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          error: getClaimConflictError(order),
+          claimedBy: order.claimed_by,
+          claimedAt: order.claimed_at,
+        });
+      }
+
+      // Re-claiming an order already in PROCESSING refreshes the lock
       if (
-        !status ||
-        typeof status !== "string" ||
-        !["COMPLETED", "REJECTED"].includes(status.toUpperCase())
+        order.status !== "PROCESSING" &&
+        !canTransition(order.status, "PROCESSING")
       ) {
+        await connection.rollback();
         connection.release();
-        return res
-          .status(400)
-          .json({ error: "Invalid status. Use COMPLETED or REJECTED" });
+        return res.status(400).json({ error: "Order is not pending" });
       }
 
-      const statusUpper = status.toUpperCase();
+      await connection.query(
+        `UPDATE orders
+         SET status = 'PROCESSING', claimed_by = ?, claimed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [req.user.id, orderId]
+      );
+
+      await recordOrderEvent(connection, {
+        orderId,
+        eventType: "CLAIMED",
+        actor: { type: "ADMIN", id: req.user.id },
+        fromStatus: normalizeStatus(order.status),
+        toStatus: "PROCESSING",
+        reason:
+          order.status !== "PROCESSING"
+            ? null
+            : order.claimed_by === req.user.id
+            ? "Claim refreshed"
+            : "Took over an expired claim",
+      });
+
+      await connection.commit();
+      connection.release();
+
+      try {
+        notifyOrderClaimed(
+          order,
+          req.user,
+          new Date(Date.now() + CLAIM_TIMEOUT_MINUTES * 60 * 1000)
+        );
+      } catch (notifyError) {
+        console.warn("Failed to notify claimed order:", notifyError);
+      }
+      if (order.status !== "PROCESSING") {
+        publishOrderUpdate(order, "PROCESSING");
+      }
+
+      console.log(`Order ${orderId} claimed by admin ${req.user.id}`);
+
+      res.json({
+        message: "Order claimed successfully",
+        orderId: orderId,
+        claimTimeoutMinutes: CLAIM_TIMEOUT_MINUTES,
+      });
+    } catch (error) {
+      await connection.rollback();
+      connection.release();
+      console.error("Claim order error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to claim order", details: error.message });
+    }
+  }
+);
+
+// Release a claimed order back to the pending queue (Admin only)
+router.post(
+  "/:orderId/release",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    const connection = await pool.getConnection();
+
+    try {
+      const orderId = parseInt(req.params.orderId);
+
+      if (isNaN(orderId) || orderId <= 0) {
+        connection.release();
+        return res.status(400).json({ error: "Invalid order ID" });
+      }
 
       await connection.beginTransaction();
 
-      // Get order details
       const [orderResult] = await connection.query(
-        `SELECT * FROM orders WHERE id = ?`,
+        `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
         [orderId]
       );
 
@@ -422,72 +1315,270 @@ router.patch(
 
       const order = orderResult[0];
 
-      if (order.status !== "PENDING") {
+      if (order.status !== "PROCESSING") {
         await connection.rollback();
         connection.release();
-        return res.status(400).json({ error: "Order is not pending" });
+        return res.status(400).json({ error: "Order is not being processed" });
+      }
+
+      if (isClaimHeldByOther(order, req.user.id)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          error: getClaimConflictError(order),
+          claimedBy: order.claimed_by,
+          claimedAt: order.claimed_at,
+        });
       }
 
-      // Update order status
       await connection.query(
-        `UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-        [statusUpper, orderId]
+        `UPDATE orders
+         SET status = 'PENDING', claimed_by = NULL, claimed_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [orderId]
       );
 
-      // If rejected, refund points
-      if (statusUpper === "REJECTED") {
-        // Refund points to requester
-        await connection.query(
-          `UPDATE users 
-         SET points_balance = points_balance + ?, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-          [order.points_used, order.user_id]
-        );
+      await recordOrderEvent(connection, {
+        orderId,
+        eventType: "RELEASED",
+        actor: { type: "ADMIN", id: req.user.id },
+        fromStatus: "PROCESSING",
+        toStatus: "PENDING",
+      });
 
-        // Record refund transaction
-        await connection.query(
-          `INSERT INTO transactions (user_id, amount, transaction_type, description, admin_id)
-         VALUES (?, ?, 'REFUNDED', ?, ?)`,
-          [
-            order.user_id,
-            order.points_used,
-            `Order rejected: ${order.order_number}`,
-            req.user.id,
-          ]
-        );
+      await connection.commit();
+      connection.release();
+
+      try {
+        notifyOrderUpdated(order, "PENDING", {
+          claimedBy: null,
+          releasedBy: req.user.id,
+        });
+      } catch (notifyError) {
+        console.warn("Failed to notify released order:", notifyError);
       }
+      publishOrderUpdate(order, "PENDING");
 
-      await connection.commit();
+      console.log(`Order ${orderId} released by admin ${req.user.id}`);
+
+      res.json({ message: "Order released successfully", orderId: orderId });
+    } catch (error) {
+      await connection.rollback();
       connection.release();
+      console.error("Release order error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to release order", details: error.message });
+    }
+  }
+);
+
+const DECISION_STATUSES = ["COMPLETED", "REJECTED", "FAILED"];
+
+// Validate the rejection reason code and free-text notes sent with a decision.
+// Rejections without a code are recorded as OTHER; returns { error } on bad input.
+const parseDecisionDetails = (statusUpper, body) => {
+  const { reason, notes } = body;
+  let rejectionReason = null;
+  if (statusUpper === "REJECTED") {
+    rejectionReason =
+      reason === undefined || reason === null || reason === ""
+        ? "OTHER"
+        : String(reason).trim().toUpperCase();
+    if (!REJECTION_REASONS[rejectionReason]) {
+      return {
+        error: `Invalid rejection reason. Use one of: ${Object.keys(
+          REJECTION_REASONS
+        ).join(", ")}`,
+      };
+    }
+  }
+
+  let adminNotes = null;
+  if (notes !== undefined && notes !== null && notes !== "") {
+    adminNotes = validateString(notes, 1000);
+    if (!adminNotes) {
+      return { error: "Notes must be at most 1000 characters" };
+    }
+  }
+
+  let externalReference = null;
+  if (statusUpper === "COMPLETED" && body.externalReference) {
+    externalReference = validateString(String(body.externalReference), 100);
+    if (!externalReference) {
+      return { error: "External reference must be at most 100 characters" };
+    }
+  }
+
+  // Partial completion: how many of the order's top-ups actually went through
+  let deliveredQuantity = null;
+  if (
+    statusUpper === "COMPLETED" &&
+    body.deliveredQuantity !== undefined &&
+    body.deliveredQuantity !== null &&
+    body.deliveredQuantity !== ""
+  ) {
+    deliveredQuantity = validateInteger(body.deliveredQuantity, 1);
+    if (!deliveredQuantity) {
+      return { error: "Delivered quantity must be a whole number of at least 1" };
+    }
+  }
+
+  return { rejectionReason, adminNotes, externalReference, deliveredQuantity };
+};
+
+// Bulk update order status (Admin only) - each order is decided independently
+router.patch(
+  "/bulk/status",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { orderIds, status } = req.body;
+
+      if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        return res.status(400).json({ error: "orderIds must be a non-empty array" });
+      }
+      if (orderIds.length > 100) {
+        return res
+          .status(400)
+          .json({ error: "At most 100 orders can be updated at once" });
+      }
+
+      const statusUpper = normalizeStatus(status);
+      if (!DECISION_STATUSES.includes(statusUpper)) {
+        return res.status(400).json({
+          error: "Invalid status. Use COMPLETED, REJECTED or FAILED",
+        });
+      }
+
+      const details = parseDecisionDetails(statusUpper, req.body);
+      if (details.error) {
+        return res.status(400).json({ error: details.error });
+      }
+      // References, proof and partial deliveries belong to a single order, not a batch
+      details.externalReference = null;
+      details.deliveredQuantity = null;
+
+      const results = [];
+      const completedUserIds = new Set();
+      const seen = new Set();
+
+      for (const rawId of orderIds) {
+        const orderId = parseInt(rawId);
+        if (isNaN(orderId) || orderId <= 0) {
+          results.push({ orderId: rawId, success: false, error: "Invalid order ID" });
+          continue;
+        }
+        if (seen.has(orderId)) {
+          results.push({ orderId, success: false, error: "Duplicate order ID" });
+          continue;
+        }
+        seen.add(orderId);
 
-      // If order is completed, calculate and add weekly sale reward immediately
-      // This ensures rewards appear in admin transactions page right away
-      if (statusUpper === "COMPLETED") {
         try {
-          // Import the reward calculation function
-          const usersModule = require("./users");
-          if (
-            usersModule &&
-            typeof usersModule.calculateAndAddWeeklyReward === "function"
-          ) {
-            await usersModule.calculateAndAddWeeklyReward(order.user_id);
-            console.log(
-              `[Order Approval] Reward calculated for user ${order.user_id} after order ${orderId} approval`
-            );
-          } else {
-            console.warn(
-              `[Order Approval] calculateAndAddWeeklyReward function not found in users module`
-            );
-          }
-        } catch (rewardError) {
-          // Don't fail the order approval if reward calculation fails
-          console.error(
-            `[Order Approval] Failed to calculate reward for user ${order.user_id}:`,
-            rewardError
+          const outcome = await decideOrder(
+            orderId,
+            statusUpper,
+            req.user.id,
+            details
           );
+          if (outcome.error) {
+            results.push({ orderId, success: false, error: outcome.error });
+            continue;
+          }
+          if (statusUpper === "COMPLETED") {
+            completedUserIds.add(outcome.order.user_id);
+          }
+          results.push({ orderId, success: true, status: statusUpper });
+        } catch (orderError) {
+          console.error(`Bulk update error for order ${orderId}:`, orderError);
+          results.push({
+            orderId,
+            success: false,
+            error: "Failed to update order status",
+          });
         }
       }
 
+      // Recalculate the weekly reward once per user rather than once per order
+      for (const userId of completedUserIds) {
+        await addWeeklyRewardForUser(userId, "bulk order approval");
+      }
+
+      const succeeded = results.filter((r) => r.success).length;
+
+      // Log without sensitive data
+      console.log(
+        `Bulk status update to ${statusUpper} by admin ${req.user.id}: ${succeeded}/${results.length} succeeded`
+      );
+
+      res.json({
+        message: `${succeeded} of ${results.length} orders ${statusUpper.toLowerCase()}`,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      });
+    } catch (error) {
+      console.error("Bulk update order status error:", error);
+      res.status(500).json({
+        error: "Failed to update order statuses",
+        details: error.message,
+      });
+    }
+  }
+);
+
+// Update order status (Admin only) - completions may attach a proof screenshot and external reference,
+// and give deliveredQuantity when only some of the top-ups went through
+router.patch(
+  "/:orderId/status",
+  authenticateToken,
+  requireAdmin,
+  uploadCompletionProof,
+  async (req, res) => {
+    try {
+      const orderId = parseInt(req.params.orderId);
+      const { status } = req.body;
+
+      // Validate inputs
+      if (isNaN(orderId) || orderId <= 0) {
+        return res.status(400).json({ error: "Invalid order ID" });
+      }
+
+      const statusUpper = normalizeStatus(status);
+      if (!DECISION_STATUSES.includes(statusUpper)) {
+        return res.status(400).json({
+          error: "Invalid status. Use COMPLETED, REJECTED or FAILED",
+        });
+      }
+
+      const details = parseDecisionDetails(statusUpper, req.body);
+      if (details.error) {
+        return res.status(400).json({ error: details.error });
+      }
+
+      if (req.file && statusUpper === "COMPLETED") {
+        details.completionProof = req.file.filename;
+      }
+
+      const outcome = await decideOrder(
+        orderId,
+        statusUpper,
+        req.user.id,
+        details
+      );
+      if (outcome.error) {
+        const { httpStatus, ...body } = outcome;
+        return res.status(httpStatus).json(body);
+      }
+
+      const order = outcome.order;
+
+      if (statusUpper === "COMPLETED") {
+        await addWeeklyRewardForUser(order.user_id, `order ${orderId} approval`);
+      }
+
       // Log without sensitive data
       console.log(
         `Order ${orderId} status updated to ${statusUpper} by admin ${req.user.id}`
@@ -496,10 +1587,15 @@ router.patch(
       res.json({
         message: `Order ${statusUpper.toLowerCase()} successfully`,
         orderId: orderId,
+        rejectionReason: order.rejection_reason,
+        rejectionReasonLabel: getRejectionReasonLabel(order.rejection_reason),
+        adminNotes: order.admin_notes,
+        externalReference: order.external_reference,
+        completionProof: order.completion_proof,
+        deliveredQuantity: order.delivered_quantity,
+        refundedPoints: order.refunded_points,
       });
     } catch (error) {
-      await connection.rollback();
-      connection.release();
       console.error("Update order status error:", error);
       res
         .status(500)
@@ -0,0 +1,300 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateString, validateInteger } = require("../middleware/security");
+const { ensurePackagesTable } = require("../utils/packageCatalog");
+const { getProduct, getDefaultProduct } = require("../utils/productCatalog");
+const { FULFILMENT_MODES } = require("../utils/fulfilment");
+const { getProviderNames } = require("../utils/providers");
+const router = express.Router();
+
+const PACKAGE_COLUMNS =
+  "id, product_id, label, diamond_amount, points_price, is_active, sort_order, min_quantity, max_quantity, fulfilment_mode, provider, created_at, updated_at";
+
+const parsePointsPrice = (value) => {
+  const price = Number(value);
+  if (!Number.isFinite(price) || price <= 0 || price > 1000000) return null;
+  return Math.round(price * 100) / 100;
+};
+
+// AUTOMATIC packages are sent to a provider adapter (utils/providers) instead of the admin queue
+const parseFulfilment = (mode, provider) => {
+  const safeMode = String(mode || "").toUpperCase();
+  if (!FULFILMENT_MODES.includes(safeMode)) {
+    return { error: `Fulfilment mode must be one of: ${FULFILMENT_MODES.join(", ")}` };
+  }
+  const safeProvider = provider ? String(provider).trim().toLowerCase() : null;
+  if (safeProvider && !getProviderNames().includes(safeProvider)) {
+    return { error: `Unknown provider. Available: ${getProviderNames().join(", ")}` };
+  }
+  if (safeMode === "AUTOMATIC" && !safeProvider) {
+    return { error: "Automatic fulfilment requires a provider" };
+  }
+  return { mode: safeMode, provider: safeProvider };
+};
+
+// Admin: list all packages, including inactive ones (?productId for one product)
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    let productId = null;
+    if (req.query.productId !== undefined) {
+      productId = validateInteger(req.query.productId, 1);
+      if (!productId) {
+        return res.status(400).json({ error: "Invalid product ID" });
+      }
+    }
+
+    await ensurePackagesTable();
+    const [rows] = await pool.query(
+      `SELECT ${PACKAGE_COLUMNS} FROM packages
+       ${productId ? "WHERE product_id = ?" : ""}
+       ORDER BY product_id ASC, sort_order ASC, diamond_amount ASC`,
+      productId ? [productId] : []
+    );
+    res.json({ packages: rows });
+  } catch (err) {
+    console.error("[Packages] Admin list error:", err);
+    res.status(500).json({ error: "Failed to fetch packages" });
+  }
+});
+
+// Admin: create package for a product (the default IMO Diamonds product if none is given)
+router.post("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const {
+      productId,
+      label,
+      diamondAmount,
+      pointsPrice,
+      isActive = true,
+      sortOrder = 0,
+      minQuantity = 1,
+      maxQuantity = 100,
+      fulfilmentMode = "MANUAL",
+      provider = null,
+    } = req.body;
+
+    const amount = validateInteger(diamondAmount, 1, 1000000);
+    if (!amount) {
+      return res
+        .status(400)
+        .json({ error: "Diamond amount must be between 1 and 1,000,000" });
+    }
+
+    // Price defaults to the diamond amount (1 point = 1 diamond)
+    const price =
+      pointsPrice === undefined || pointsPrice === null || pointsPrice === ""
+        ? amount
+        : parsePointsPrice(pointsPrice);
+    if (!price) {
+      return res.status(400).json({ error: "Invalid points price" });
+    }
+
+    const minQty = validateInteger(minQuantity, 1, 100);
+    const maxQty = validateInteger(maxQuantity, 1, 100);
+    if (!minQty || !maxQty || minQty > maxQty) {
+      return res.status(400).json({
+        error: "Quantity limits must be between 1 and 100, with min <= max",
+      });
+    }
+
+    const fulfilment = parseFulfilment(fulfilmentMode, provider);
+    if (fulfilment.error) {
+      return res.status(400).json({ error: fulfilment.error });
+    }
+
+    await ensurePackagesTable();
+    const product =
+      productId === undefined || productId === null || productId === ""
+        ? await getDefaultProduct()
+        : await getProduct(validateInteger(productId, 1));
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const order = validateInteger(sortOrder, 0, 100000);
+    const safeLabel =
+      validateString(label, 100) ||
+      `${amount.toLocaleString()} ${product.unit_label}`;
+
+    const [result] = await pool.query(
+      `INSERT INTO packages (product_id, label, diamond_amount, points_price, is_active, sort_order, min_quantity, max_quantity, fulfilment_mode, provider)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        product.id,
+        safeLabel,
+        amount,
+        price,
+        isActive ? 1 : 0,
+        order ?? 0,
+        minQty,
+        maxQty,
+        fulfilment.mode,
+        fulfilment.provider,
+      ]
+    );
+
+    const [rows] = await pool.query(
+      `SELECT ${PACKAGE_COLUMNS} FROM packages WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json({ package: rows[0] });
+  } catch (err) {
+    console.error("[Packages] Create error:", err);
+    res.status(500).json({ error: "Failed to create package" });
+  }
+});
+
+// Admin: update package
+router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid package ID" });
+    }
+
+    const {
+      productId,
+      label,
+      diamondAmount,
+      pointsPrice,
+      isActive,
+      sortOrder,
+      minQuantity,
+      maxQuantity,
+      fulfilmentMode,
+      provider,
+    } = req.body;
+
+    await ensurePackagesTable();
+    const [existing] = await pool.query(
+      "SELECT id, min_quantity, max_quantity, fulfilment_mode, provider FROM packages WHERE id = ?",
+      [id]
+    );
+    if (existing.length === 0) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (productId !== undefined) {
+      const product = await getProduct(validateInteger(productId, 1));
+      if (!product) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+      updates.push("product_id = ?");
+      values.push(product.id);
+    }
+    if (label !== undefined) {
+      const safeLabel = validateString(label, 100);
+      if (!safeLabel) {
+        return res.status(400).json({ error: "Invalid label" });
+      }
+      updates.push("label = ?");
+      values.push(safeLabel);
+    }
+    if (diamondAmount !== undefined) {
+      const amount = validateInteger(diamondAmount, 1, 1000000);
+      if (!amount) {
+        return res
+          .status(400)
+          .json({ error: "Diamond amount must be between 1 and 1,000,000" });
+      }
+      updates.push("diamond_amount = ?");
+      values.push(amount);
+    }
+    if (pointsPrice !== undefined) {
+      const price = parsePointsPrice(pointsPrice);
+      if (!price) {
+        return res.status(400).json({ error: "Invalid points price" });
+      }
+      updates.push("points_price = ?");
+      values.push(price);
+    }
+    if (isActive !== undefined) {
+      updates.push("is_active = ?");
+      values.push(isActive ? 1 : 0);
+    }
+    if (sortOrder !== undefined) {
+      const order = validateInteger(sortOrder, 0, 100000);
+      if (order === null) {
+        return res.status(400).json({ error: "Invalid sort order" });
+      }
+      updates.push("sort_order = ?");
+      values.push(order);
+    }
+    if (minQuantity !== undefined || maxQuantity !== undefined) {
+      const minQty =
+        minQuantity !== undefined
+          ? validateInteger(minQuantity, 1, 100)
+          : existing[0].min_quantity;
+      const maxQty =
+        maxQuantity !== undefined
+          ? validateInteger(maxQuantity, 1, 100)
+          : existing[0].max_quantity;
+      if (!minQty || !maxQty || minQty > maxQty) {
+        return res.status(400).json({
+          error: "Quantity limits must be between 1 and 100, with min <= max",
+        });
+      }
+      updates.push("min_quantity = ?", "max_quantity = ?");
+      values.push(minQty, maxQty);
+    }
+    if (fulfilmentMode !== undefined || provider !== undefined) {
+      const fulfilment = parseFulfilment(
+        fulfilmentMode !== undefined ? fulfilmentMode : existing[0].fulfilment_mode,
+        provider !== undefined ? provider : existing[0].provider
+      );
+      if (fulfilment.error) {
+        return res.status(400).json({ error: fulfilment.error });
+      }
+      updates.push("fulfilment_mode = ?", "provider = ?");
+      values.push(fulfilment.mode, fulfilment.provider);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    values.push(id);
+    await pool.query(
+      `UPDATE packages SET ${updates.join(", ")} WHERE id = ?`,
+      values
+    );
+
+    const [rows] = await pool.query(
+      `SELECT ${PACKAGE_COLUMNS} FROM packages WHERE id = ?`,
+      [id]
+    );
+    res.json({ package: rows[0] });
+  } catch (err) {
+    console.error("[Packages] Update error:", err);
+    res.status(500).json({ error: "Failed to update package" });
+  }
+});
+
+// Admin: delete package. It is only deactivated: orders and schedules keep referring to it.
+router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid package ID" });
+    }
+
+    await ensurePackagesTable();
+    const [result] = await pool.query(
+      "UPDATE packages SET is_active = 0 WHERE id = ?",
+      [id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Package not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[Packages] Delete error:", err);
+    res.status(500).json({ error: "Failed to delete package" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateString } = require("../middleware/security");
+const {
+  ROLE_DISCOUNTS,
+  MAX_DISCOUNT_PERCENT,
+  ensurePricingTables,
+  parseDiscountPercent,
+} = require("../utils/pricing");
+const router = express.Router();
+
+const TIER_COLUMNS =
+  "t.id, t.name, t.discount_percent, t.description, t.created_at, t.updated_at";
+
+const getTier = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT ${TIER_COLUMNS},
+            (SELECT COUNT(*) FROM user_pricing up WHERE up.tier_id = t.id) AS user_count
+     FROM pricing_tiers t WHERE t.id = ?`,
+    [id]
+  );
+  return rows[0] || null;
+};
+
+// Admin: list pricing tiers with how many users are on each, plus the role defaults
+router.get("/tiers", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await ensurePricingTables();
+    const [rows] = await pool.query(
+      `SELECT ${TIER_COLUMNS},
+              (SELECT COUNT(*) FROM user_pricing up WHERE up.tier_id = t.id) AS user_count
+       FROM pricing_tiers t
+       ORDER BY t.discount_percent ASC, t.name ASC`
+    );
+    res.json({ tiers: rows, roleDiscounts: ROLE_DISCOUNTS });
+  } catch (err) {
+    console.error("[Pricing] Tier list error:", err);
+    res.status(500).json({ error: "Failed to fetch pricing tiers" });
+  }
+});
+
+// Admin: create pricing tier
+router.post("/tiers", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, discountPercent, description } = req.body;
+
+    const safeName = validateString(name, 100);
+    if (!safeName) {
+      return res.status(400).json({ error: "Tier name is required" });
+    }
+    const discount = parseDiscountPercent(discountPercent);
+    if (discount === null) {
+      return res.status(400).json({
+        error: `Discount must be between 0 and ${MAX_DISCOUNT_PERCENT} percent`,
+      });
+    }
+
+    await ensurePricingTables();
+    const [result] = await pool.query(
+      `INSERT INTO pricing_tiers (name, discount_percent, description) VALUES (?, ?, ?)`,
+      [safeName, discount, validateString(description, 255)]
+    );
+
+    res.status(201).json({ tier: await getTier(result.insertId) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "A tier with this name already exists" });
+    }
+    console.error("[Pricing] Tier create error:", err);
+    res.status(500).json({ error: "Failed to create pricing tier" });
+  }
+});
+
+// Admin: update pricing tier - applies to future orders of every user on the tier
+router.put("/tiers/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid tier ID" });
+    }
+
+    const { name, discountPercent, description } = req.body;
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      const safeName = validateString(name, 100);
+      if (!safeName) {
+        return res.status(400).json({ error: "Invalid tier name" });
+      }
+      updates.push("name = ?");
+      values.push(safeName);
+    }
+    if (discountPercent !== undefined) {
+      const discount = parseDiscountPercent(discountPercent);
+      if (discount === null) {
+        return res.status(400).json({
+          error: `Discount must be between 0 and ${MAX_DISCOUNT_PERCENT} percent`,
+        });
+      }
+      updates.push("discount_percent = ?");
+      values.push(discount);
+    }
+    if (description !== undefined) {
+      updates.push("description = ?");
+      values.push(validateString(description, 255));
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    await ensurePricingTables();
+    values.push(id);
+    const [result] = await pool.query(
+      `UPDATE pricing_tiers SET ${updates.join(", ")} WHERE id = ?`,
+      values
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Pricing tier not found" });
+    }
+
+    res.json({ tier: await getTier(id) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res.status(409).json({ error: "A tier with this name already exists" });
+    }
+    console.error("[Pricing] Tier update error:", err);
+    res.status(500).json({ error: "Failed to update pricing tier" });
+  }
+});
+
+// Admin: delete pricing tier - its users fall back to their personal or role discount
+router.delete("/tiers/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid tier ID" });
+    }
+
+    await ensurePricingTables();
+    const [result] = await pool.query("DELETE FROM pricing_tiers WHERE id = ?", [
+      id,
+    ]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Pricing tier not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[Pricing] Tier delete error:", err);
+    res.status(500).json({ error: "Failed to delete pricing tier" });
+  }
+});
+
+module.exports = router;
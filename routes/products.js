@@ -0,0 +1,203 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateString, validateInteger } = require("../middleware/security");
+const {
+  DEFAULT_PRODUCT,
+  ensureProductsTable,
+  getProduct,
+  formatProduct,
+  parseRecipientFields,
+} = require("../utils/productCatalog");
+const { ensurePackagesTable } = require("../utils/packageCatalog");
+const router = express.Router();
+
+const PRODUCT_COLUMNS =
+  "pr.id, pr.code, pr.name, pr.unit_label, pr.recipient_fields, pr.is_active, pr.sort_order, pr.created_at, pr.updated_at";
+
+const parseProductCode = (value) => {
+  const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+  return /^[A-Z0-9_]{2,30}$/.test(code) ? code : null;
+};
+
+// Admin: list all products, including inactive ones, with their package counts
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await ensurePackagesTable();
+    const [rows] = await pool.query(
+      `SELECT ${PRODUCT_COLUMNS},
+              (SELECT COUNT(*) FROM packages p WHERE p.product_id = pr.id) AS package_count
+       FROM products pr
+       ORDER BY pr.sort_order ASC, pr.name ASC`
+    );
+    res.json({ products: rows.map(formatProduct) });
+  } catch (err) {
+    console.error("[Products] Admin list error:", err);
+    res.status(500).json({ error: "Failed to fetch products" });
+  }
+});
+
+// Admin: create product with its recipient fields (packages are added through /api/packages)
+router.post("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const {
+      code,
+      name,
+      unitLabel,
+      recipientFields,
+      isActive = true,
+      sortOrder = 0,
+    } = req.body;
+
+    const safeCode = parseProductCode(code);
+    if (!safeCode) {
+      return res.status(400).json({
+        error: "Code must be 2-30 letters, digits or underscores",
+      });
+    }
+    const safeName = validateString(name, 100);
+    if (!safeName) {
+      return res.status(400).json({ error: "Product name is required" });
+    }
+    const safeUnitLabel = validateString(unitLabel, 50);
+    if (!safeUnitLabel) {
+      return res
+        .status(400)
+        .json({ error: "Unit label is required, e.g. Diamonds or UC" });
+    }
+    const parsedFields = parseRecipientFields(recipientFields);
+    if (parsedFields.error) {
+      return res.status(400).json({ error: parsedFields.error });
+    }
+    const order = validateInteger(sortOrder, 0, 100000);
+
+    await ensureProductsTable();
+    const [result] = await pool.query(
+      `INSERT INTO products (code, name, unit_label, recipient_fields, is_active, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        safeCode,
+        safeName,
+        safeUnitLabel,
+        JSON.stringify(parsedFields.fields),
+        isActive ? 1 : 0,
+        order ?? 0,
+      ]
+    );
+
+    res.status(201).json({ product: await getProduct(result.insertId) });
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      return res
+        .status(409)
+        .json({ error: "A product with this code already exists" });
+    }
+    console.error("[Products] Create error:", err);
+    res.status(500).json({ error: "Failed to create product" });
+  }
+});
+
+// Admin: update product. Changed recipient fields apply to new orders only.
+router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    const { name, unitLabel, recipientFields, isActive, sortOrder } = req.body;
+
+    const existing = await getProduct(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      const safeName = validateString(name, 100);
+      if (!safeName) {
+        return res.status(400).json({ error: "Invalid product name" });
+      }
+      updates.push("name = ?");
+      values.push(safeName);
+    }
+    if (unitLabel !== undefined) {
+      const safeUnitLabel = validateString(unitLabel, 50);
+      if (!safeUnitLabel) {
+        return res.status(400).json({ error: "Invalid unit label" });
+      }
+      updates.push("unit_label = ?");
+      values.push(safeUnitLabel);
+    }
+    if (recipientFields !== undefined) {
+      const parsedFields = parseRecipientFields(recipientFields);
+      if (parsedFields.error) {
+        return res.status(400).json({ error: parsedFields.error });
+      }
+      updates.push("recipient_fields = ?");
+      values.push(JSON.stringify(parsedFields.fields));
+    }
+    if (isActive !== undefined) {
+      updates.push("is_active = ?");
+      values.push(isActive ? 1 : 0);
+    }
+    if (sortOrder !== undefined) {
+      const order = validateInteger(sortOrder, 0, 100000);
+      if (order === null) {
+        return res.status(400).json({ error: "Invalid sort order" });
+      }
+      updates.push("sort_order = ?");
+      values.push(order);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    values.push(id);
+    await pool.query(
+      `UPDATE products SET ${updates.join(", ")} WHERE id = ?`,
+      values
+    );
+
+    res.json({ product: await getProduct(id) });
+  } catch (err) {
+    console.error("[Products] Update error:", err);
+    res.status(500).json({ error: "Failed to update product" });
+  }
+});
+
+// Admin: delete a product that has no packages (deactivate it to stop selling it instead)
+router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+
+    const existing = await getProduct(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    if (existing.code === DEFAULT_PRODUCT.code) {
+      return res
+        .status(400)
+        .json({ error: "The default product cannot be deleted" });
+    }
+
+    await pool.query("DELETE FROM products WHERE id = ?", [id]);
+    res.json({ success: true });
+  } catch (err) {
+    if (err.code === "ER_ROW_IS_REFERENCED_2") {
+      return res.status(409).json({
+        error: "Product still has packages. Delete them or deactivate the product.",
+      });
+    }
+    console.error("[Products] Delete error:", err);
+    res.status(500).json({ error: "Failed to delete product" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require("express");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateInteger } = require("../middleware/security");
+const {
+  parseReceiptNumber,
+  getReceipt,
+  getTopupReceipt,
+  renderReceiptHtml,
+} = require("../utils/receipts");
+const { renderReceiptPdf } = require("../utils/receiptPdf");
+const router = express.Router();
+
+const RECEIPT_FORMATS = ["html", "pdf", "json"];
+
+// Send a receipt as printable HTML (default), a PDF download or JSON (?format=)
+const sendReceipt = (req, res, receipt) => {
+  const format = String(req.query.format || "html").toLowerCase();
+  if (!RECEIPT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ error: `Invalid format. Use one of: ${RECEIPT_FORMATS.join(", ")}` });
+  }
+
+  const { viewerIds, ...publicReceipt } = receipt;
+
+  if (format === "json") {
+    return res.json({ receipt: publicReceipt });
+  }
+  if (format === "pdf") {
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${receipt.receiptNumber}.pdf"`
+    );
+    return res.send(renderReceiptPdf(publicReceipt));
+  }
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.send(renderReceiptHtml(publicReceipt));
+};
+
+// Admins see every receipt; others only receipts they are a party to
+const canViewReceipt = (user, receipt) =>
+  user.role === "ADMIN" || receipt.viewerIds.includes(user.id);
+
+// Receipt for an order (owner or admin)
+router.get("/orders/:orderId", authenticateToken, async (req, res) => {
+  try {
+    const orderId = validateInteger(req.params.orderId, 1);
+    if (!orderId) {
+      return res.status(400).json({ error: "Invalid order ID" });
+    }
+
+    const receipt = await getReceipt("ORDER", orderId);
+    if (!receipt || !canViewReceipt(req.user, receipt)) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+
+    sendReceipt(req, res, receipt);
+  } catch (error) {
+    console.error("Get order receipt error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch receipt", details: error.message });
+  }
+});
+
+// Receipt for an admin or merchant points top-up (receiver, merchant or admin)
+router.get("/topups/:transactionId", authenticateToken, async (req, res) => {
+  try {
+    const transactionId = validateInteger(req.params.transactionId, 1);
+    if (!transactionId) {
+      return res.status(400).json({ error: "Invalid transaction ID" });
+    }
+
+    const receipt = await getTopupReceipt(transactionId);
+    if (!receipt || !canViewReceipt(req.user, receipt)) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+
+    sendReceipt(req, res, receipt);
+  } catch (error) {
+    console.error("Get top-up receipt error:", error);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch receipt", details: error.message });
+  }
+});
+
+// Look up any receipt by its number, e.g. RO-00000123 (Admin only - support staff)
+router.get(
+  "/lookup/:receiptNumber",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const parsed = parseReceiptNumber(req.params.receiptNumber);
+      if (!parsed) {
+        return res.status(400).json({
+          error: "Invalid receipt number. Expected e.g. RO-00000123",
+        });
+      }
+
+      const receipt = await getReceipt(parsed.type, parsed.id);
+      if (!receipt) {
+        return res.status(404).json({ error: "Receipt not found" });
+      }
+
+      sendReceipt(req, res, receipt);
+    } catch (error) {
+      console.error("Receipt lookup error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to look up receipt", details: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const pool = require("../database/connection");
 const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateInteger } = require("../middleware/security");
+const { defaultProductCondition } = require("../utils/productCatalog");
 
 // Import the helper function from users.js (or duplicate it here for simplicity)
 // Helper function to get current date/time directly in Asia/Colombo timezone
@@ -124,10 +126,65 @@ const getWeekBoundaries = () => {
   };
 };
 
-// Get weekly reports (Admin only)
+// Optional ?productId filter; undefined when it is malformed
+const readProductFilter = (query) => {
+  if (query.productId === undefined || query.productId === "") return null;
+  return validateInteger(query.productId, 1) || undefined;
+};
+
+// Sales (units sold) for the summary and user breakdown. Units of different products do not
+// add up, so without ?productId only the default product's diamonds count; per-product units
+// are in productBreakdown.
+const salesExpression = (productId, alias = "") => {
+  const units = `${alias}diamond_amount * COALESCE(${alias}delivered_quantity, ${alias}quantity, 1)`;
+  return productId
+    ? units
+    : `CASE WHEN ${defaultProductCondition(`${alias}product_id`)} THEN ${units} ELSE 0 END`;
+};
+
+// Completed orders per product in a period: order count, units delivered and net points
+const getProductBreakdown = async ({
+  start,
+  end,
+  endInclusive = false,
+  userId = null,
+  productId = null,
+}) => {
+  const [rows] = await pool.query(
+    `SELECT 
+      pr.id as product_id,
+      pr.name as product_name,
+      pr.unit_label,
+      COUNT(o.id) as order_count,
+      COALESCE(SUM(o.diamond_amount * COALESCE(o.delivered_quantity, o.quantity, 1)), 0) as units_sold,
+      COALESCE(SUM(o.points_used - COALESCE(o.refunded_points, 0)), 0) as points_spent
+    FROM orders o
+    LEFT JOIN products pr ON o.product_id = pr.id
+    WHERE o.status = 'COMPLETED'
+      AND o.created_at >= ?
+      AND o.created_at ${endInclusive ? "<=" : "<"} ?
+      ${userId ? "AND o.user_id = ?" : ""}
+      ${productId ? "AND o.product_id = ?" : ""}
+    GROUP BY pr.id, pr.name, pr.unit_label
+    ORDER BY points_spent DESC`,
+    [
+      start,
+      end,
+      ...(userId ? [userId] : []),
+      ...(productId ? [productId] : []),
+    ]
+  );
+  return rows;
+};
+
+// Get weekly reports (Admin only) - ?productId limits order figures to one product
 router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { weekStart, userId } = req.query;
+    const productId = readProductFilter(req.query);
+    if (productId === undefined) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
 
     // Calculate week period (Thursday 21:30 PM to next Thursday 21:30 PM)
     let weekStartDate, weekEndDate;
@@ -206,18 +263,23 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
       : null;
 
     const ordersUserCondition = userId ? "AND o.user_id = ?" : "";
+    const ordersProductCondition = productId ? "AND o.product_id = ?" : "";
     const transactionsUserCondition = userId ? "AND t.user_id = ?" : "";
+    const ordersFilterParams = [
+      ...(userId ? [userId] : []),
+      ...(productId ? [productId] : []),
+    ];
 
     const summaryParams = [
       weekStartStr,
       weekEndStr,
-      ...(userId ? [userId] : []),
+      ...ordersFilterParams,
       weekStartStr,
       weekEndStr,
-      ...(userId ? [userId] : []),
+      ...ordersFilterParams,
       weekStartStr,
       weekEndStr,
-      ...(userId ? [userId] : []),
+      ...ordersFilterParams,
       weekStartStr,
       weekEndStr,
       ...(userId ? [userId] : []),
@@ -233,19 +295,22 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
          WHERE o.status = 'COMPLETED'
            AND o.created_at >= ?
            AND o.created_at < ?
-           ${ordersUserCondition}) as total_users,
+           ${ordersUserCondition}
+           ${ordersProductCondition}) as total_users,
         (SELECT COUNT(DISTINCT o.id)
          FROM orders o
          WHERE o.status = 'COMPLETED'
            AND o.created_at >= ?
            AND o.created_at < ?
-           ${ordersUserCondition}) as total_orders,
-        (SELECT COALESCE(SUM(o.diamond_amount * COALESCE(o.quantity, 1)), 0)
+           ${ordersUserCondition}
+           ${ordersProductCondition}) as total_orders,
+        (SELECT COALESCE(SUM(${salesExpression(productId, "o.")}), 0)
          FROM orders o
          WHERE o.status = 'COMPLETED'
            AND o.created_at >= ?
            AND o.created_at < ?
-           ${ordersUserCondition}) as total_sales,
+           ${ordersUserCondition}
+           ${ordersProductCondition}) as total_sales,
         (SELECT COALESCE(SUM(t.amount), 0)
          FROM transactions t
          WHERE t.created_at >= ?
@@ -264,11 +329,7 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
       summaryParams
     );
 
-    const ordersParams = [
-      weekStartStr,
-      weekEndStr,
-      ...(userId ? [userId] : []),
-    ];
+    const ordersParams = [weekStartStr, weekEndStr, ...ordersFilterParams];
     const rewardsParams = [
       weekStartStr,
       weekEndStr,
@@ -295,12 +356,13 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
         SELECT 
           user_id,
           COUNT(DISTINCT id) as order_count,
-          COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) as user_sales
+          COALESCE(SUM(${salesExpression(productId)}), 0) as user_sales
         FROM orders
         WHERE status = 'COMPLETED'
           AND created_at >= ?
           AND created_at < ?
           ${userId ? "AND user_id = ?" : ""}
+          ${productId ? "AND product_id = ?" : ""}
         GROUP BY user_id
       ) o
       INNER JOIN users u ON u.id = o.user_id
@@ -361,9 +423,17 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
       LIMIT 52`
     );
 
+    const productBreakdown = await getProductBreakdown({
+      start: weekStartStr,
+      end: weekEndStr,
+      userId,
+      productId,
+    });
+
     res.json({
       weekStart: weekStartStr,
       weekEnd: weekEndStr,
+      productId,
       summary: summaryResult[0] || {
         total_users: 0,
         total_orders: 0,
@@ -372,6 +442,7 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
         total_admin_points: 0,
       },
       userBreakdown: userBreakdown || [],
+      productBreakdown,
       availableWeeks: weeksResult || [],
     });
   } catch (error) {
@@ -383,9 +454,17 @@ router.get("/weekly", authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Get daily report (Admin only) - summary and user breakdown for a single day
+// Get daily report (Admin only) - summary, user and product breakdown for a single day
+// ?productId limits order figures to one product
 router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
   try {
+    const productId = readProductFilter(req.query);
+    if (productId === undefined) {
+      return res.status(400).json({ error: "Invalid product ID" });
+    }
+    const productCondition = productId ? "AND product_id = ?" : "";
+    const productParams = productId ? [productId] : [];
+
     let dateStr = req.query.date;
     if (!dateStr || typeof dateStr !== "string") {
       const dt = getColomboDateTime();
@@ -399,11 +478,16 @@ router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
 
     const [summaryResult] = await pool.query(
       `SELECT 
-        (SELECT COUNT(DISTINCT user_id) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ?) as total_users,
-        (SELECT COUNT(*) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ?) as total_orders,
-        (SELECT COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ?) as total_sales,
+        (SELECT COUNT(DISTINCT user_id) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ? ${productCondition}) as total_users,
+        (SELECT COUNT(*) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ? ${productCondition}) as total_orders,
+        (SELECT COALESCE(SUM(${salesExpression(productId)}), 0) FROM orders WHERE status = 'COMPLETED' AND created_at >= ? AND created_at <= ? ${productCondition}) as total_sales,
         (SELECT COALESCE(SUM(amount), 0) FROM transactions WHERE transaction_type = 'ADDED' AND (admin_id IS NOT NULL OR merchant_id IS NOT NULL) AND created_at >= ? AND created_at <= ?) as total_admin_points`,
-      [dayStart, dayEnd, dayStart, dayEnd, dayStart, dayEnd, dayStart, dayEnd]
+      [
+        dayStart, dayEnd, ...productParams,
+        dayStart, dayEnd, ...productParams,
+        dayStart, dayEnd, ...productParams,
+        dayStart, dayEnd,
+      ]
     );
 
     const [userBreakdown] = await pool.query(
@@ -421,11 +505,12 @@ router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
         SELECT 
           user_id,
           COUNT(*) as order_count,
-          COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) as user_sales
+          COALESCE(SUM(${salesExpression(productId)}), 0) as user_sales
         FROM orders
         WHERE status = 'COMPLETED'
           AND created_at >= ?
           AND created_at <= ?
+          ${productCondition}
         GROUP BY user_id
       ) o
       INNER JOIN users u ON u.id = o.user_id
@@ -441,9 +526,16 @@ router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
         GROUP BY user_id
       ) a ON a.user_id = o.user_id
       ORDER BY o.user_sales DESC`,
-      [dayStart, dayEnd, dayStart, dayEnd]
+      [dayStart, dayEnd, ...productParams, dayStart, dayEnd]
     );
 
+    const productBreakdown = await getProductBreakdown({
+      start: dayStart,
+      end: dayEnd,
+      endInclusive: true,
+      productId,
+    });
+
     const [datesResult] = await pool.query(
       `SELECT DISTINCT DATE(created_at) as report_date
        FROM orders
@@ -454,6 +546,7 @@ router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
 
     res.json({
       date: dateStr,
+      productId,
       summary: summaryResult[0] || {
         total_users: 0,
         total_orders: 0,
@@ -461,6 +554,7 @@ router.get("/daily", authenticateToken, requireAdmin, async (req, res) => {
         total_admin_points: 0,
       },
       userBreakdown: userBreakdown || [],
+      productBreakdown,
       availableDates: (datesResult || []).map((r) => ({ date: r.report_date })),
     });
   } catch (error) {
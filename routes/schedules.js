@@ -0,0 +1,306 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken } = require("../middleware/auth");
+const { validateInteger } = require("../middleware/security");
+const { findActivePackage } = require("../utils/packageCatalog");
+const { getSavedClient } = require("../utils/savedClients");
+const {
+  getProduct,
+  parseRecipientInput,
+  resolveOrderRecipient,
+} = require("../utils/productCatalog");
+const {
+  SCHEDULE_FREQUENCIES,
+  ensureScheduledOrderTables,
+  computeNextRunAfterNow,
+} = require("../utils/scheduledOrders");
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const getOwnSchedule = async (userId, scheduleId) => {
+  const [rows] = await pool.query(
+    `SELECT s.*, p.label AS package_label, p.diamond_amount, p.points_price,
+            p.product_id, pr.name AS product_name, pr.unit_label
+     FROM scheduled_orders s
+     LEFT JOIN packages p ON s.package_id = p.id
+     LEFT JOIN products pr ON p.product_id = pr.id
+     WHERE s.id = ? AND s.user_id = ?`,
+    [scheduleId, userId]
+  );
+  return rows[0] || null;
+};
+
+// List own scheduled and recurring orders
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    await ensureScheduledOrderTables();
+    const [schedules] = await pool.query(
+      `SELECT s.*, p.label AS package_label, p.diamond_amount, p.points_price,
+              p.product_id, pr.name AS product_name, pr.unit_label
+       FROM scheduled_orders s
+       LEFT JOIN packages p ON s.package_id = p.id
+       LEFT JOIN products pr ON p.product_id = pr.id
+       WHERE s.user_id = ?
+       ORDER BY s.status = 'ACTIVE' DESC, s.next_run_at ASC, s.created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ schedules: schedules || [] });
+  } catch (error) {
+    console.error("Get scheduled orders error:", error);
+    res.status(500).json({
+      error: "Failed to fetch scheduled orders",
+      details: error.message,
+    });
+  }
+});
+
+// Schedule a future order, or a daily/weekly recurring one, for a client.
+// Recipient fields work as for POST /api/orders/request.
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const {
+      productId,
+      packageId,
+      diamondAmount,
+      quantity,
+      recipient,
+      clientImoId,
+      savedClientId,
+      frequency = "ONCE",
+      startAt,
+      endDate,
+    } = req.body;
+    const userId = req.user.id;
+
+    const selectedPackage = await findActivePackage({
+      productId: validateInteger(productId, 1),
+      packageId: validateInteger(packageId, 1),
+      diamondAmount: validateInteger(diamondAmount, 1),
+    });
+    if (!selectedPackage) {
+      return res.status(400).json({ error: "Invalid package" });
+    }
+
+    const qty = validateInteger(
+      quantity,
+      selectedPackage.min_quantity,
+      selectedPackage.max_quantity
+    );
+    if (!qty) {
+      return res.status(400).json({
+        error: `Quantity must be between ${selectedPackage.min_quantity} and ${selectedPackage.max_quantity}`,
+      });
+    }
+
+    let savedClient = null;
+    if (savedClientId !== undefined && savedClientId !== null && savedClientId !== "") {
+      const validatedClientId = validateInteger(savedClientId, 1);
+      savedClient = validatedClientId
+        ? await getSavedClient(userId, validatedClientId)
+        : null;
+      if (!savedClient) {
+        return res.status(404).json({ error: "Saved client not found" });
+      }
+    }
+
+    const recipientInput = parseRecipientInput(recipient);
+    if (!recipientInput) {
+      return res.status(400).json({ error: "Invalid recipient details" });
+    }
+    const product = await getProduct(selectedPackage.product_id);
+    const validatedRecipient = resolveOrderRecipient(product, recipientInput, {
+      clientImoId,
+      savedClient,
+    });
+    if (validatedRecipient.error) {
+      return res.status(400).json({ error: validatedRecipient.error });
+    }
+    const sanitizedClientImoId = validatedRecipient.recipientId;
+
+    const frequencyUpper =
+      typeof frequency === "string" ? frequency.trim().toUpperCase() : "";
+    if (!SCHEDULE_FREQUENCIES.includes(frequencyUpper)) {
+      return res.status(400).json({
+        error: `Invalid frequency. Use one of: ${SCHEDULE_FREQUENCIES.join(", ")}`,
+      });
+    }
+
+    const firstRun = startAt ? new Date(startAt) : null;
+    if (!firstRun || isNaN(firstRun.getTime())) {
+      return res
+        .status(400)
+        .json({ error: "startAt must be a valid date and time" });
+    }
+    if (firstRun.getTime() < Date.now() - 60 * 1000) {
+      return res.status(400).json({ error: "startAt must be in the future" });
+    }
+
+    let sanitizedEndDate = null;
+    if (frequencyUpper !== "ONCE") {
+      if (!endDate || typeof endDate !== "string" || !DATE_PATTERN.test(endDate)) {
+        return res
+          .status(400)
+          .json({ error: "Recurring orders need an end date (YYYY-MM-DD)" });
+      }
+      const endOfDay = new Date(`${endDate}T23:59:59`);
+      if (isNaN(endOfDay.getTime()) || endOfDay < firstRun) {
+        return res
+          .status(400)
+          .json({ error: "End date must be on or after the start date" });
+      }
+      sanitizedEndDate = endDate;
+    }
+
+    await ensureScheduledOrderTables();
+    const [result] = await pool.query(
+      `INSERT INTO scheduled_orders (user_id, package_id, quantity, client_imo_id, recipient_details, saved_client_id, frequency, next_run_at, end_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        selectedPackage.id,
+        qty,
+        sanitizedClientImoId,
+        JSON.stringify(validatedRecipient.details),
+        savedClient ? savedClient.id : null,
+        frequencyUpper,
+        firstRun,
+        sanitizedEndDate,
+      ]
+    );
+
+    console.log(
+      `Scheduled order ${result.insertId} created by user ${userId} (${frequencyUpper})`
+    );
+
+    const schedule = await getOwnSchedule(userId, result.insertId);
+    res.status(201).json({ message: "Order scheduled successfully", schedule });
+  } catch (error) {
+    console.error("Create scheduled order error:", error);
+    res.status(500).json({
+      error: "Failed to schedule order",
+      details: error.message,
+    });
+  }
+});
+
+// Pause or resume a schedule
+router.patch("/:scheduleId", authenticateToken, async (req, res) => {
+  try {
+    const scheduleId = validateInteger(req.params.scheduleId, 1);
+    if (!scheduleId) {
+      return res.status(400).json({ error: "Invalid schedule ID" });
+    }
+    const { action } = req.body; // action: 'pause' or 'resume'
+    if (!["pause", "resume"].includes(action)) {
+      return res
+        .status(400)
+        .json({ error: 'Invalid action. Must be "pause" or "resume"' });
+    }
+
+    await ensureScheduledOrderTables();
+    const schedule = await getOwnSchedule(req.user.id, scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: "Scheduled order not found" });
+    }
+
+    const fromStatus = action === "pause" ? "ACTIVE" : "PAUSED";
+    if (schedule.status !== fromStatus) {
+      return res
+        .status(400)
+        .json({ error: `Only ${fromStatus.toLowerCase()} schedules can be ${action}d` });
+    }
+
+    // Runs missed while paused are skipped rather than fired all at once
+    let nextRunAt = schedule.next_run_at;
+    if (action === "resume" && nextRunAt && new Date(nextRunAt) < new Date()) {
+      ({ nextRunAt } = computeNextRunAfterNow(schedule, nextRunAt));
+      if (!nextRunAt) {
+        return res
+          .status(400)
+          .json({ error: "This schedule has no runs left to resume" });
+      }
+    }
+
+    await pool.query(
+      `UPDATE scheduled_orders SET status = ?, next_run_at = ? WHERE id = ? AND user_id = ?`,
+      [action === "pause" ? "PAUSED" : "ACTIVE", nextRunAt, scheduleId, req.user.id]
+    );
+
+    res.json({
+      message: `Schedule ${action}d successfully`,
+      schedule: await getOwnSchedule(req.user.id, scheduleId),
+    });
+  } catch (error) {
+    console.error("Update scheduled order error:", error);
+    res.status(500).json({
+      error: "Failed to update scheduled order",
+      details: error.message,
+    });
+  }
+});
+
+// Cancel a schedule (orders already placed are unaffected)
+router.delete("/:scheduleId", authenticateToken, async (req, res) => {
+  try {
+    const scheduleId = validateInteger(req.params.scheduleId, 1);
+    if (!scheduleId) {
+      return res.status(400).json({ error: "Invalid schedule ID" });
+    }
+
+    await ensureScheduledOrderTables();
+    const [result] = await pool.query(
+      `UPDATE scheduled_orders
+       SET status = 'CANCELLED', next_run_at = NULL
+       WHERE id = ? AND user_id = ? AND status IN ('ACTIVE', 'PAUSED')`,
+      [scheduleId, req.user.id]
+    );
+    if (result.affectedRows === 0) {
+      return res
+        .status(404)
+        .json({ error: "Scheduled order not found or already finished" });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Cancel scheduled order error:", error);
+    res.status(500).json({
+      error: "Failed to cancel scheduled order",
+      details: error.message,
+    });
+  }
+});
+
+// Run history of a schedule, including skipped runs
+router.get("/:scheduleId/runs", authenticateToken, async (req, res) => {
+  try {
+    const scheduleId = validateInteger(req.params.scheduleId, 1);
+    if (!scheduleId) {
+      return res.status(400).json({ error: "Invalid schedule ID" });
+    }
+
+    await ensureScheduledOrderTables();
+    const schedule = await getOwnSchedule(req.user.id, scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: "Scheduled order not found" });
+    }
+
+    const [runs] = await pool.query(
+      `SELECT r.id, r.status, r.order_id, o.order_number, r.error, r.created_at
+       FROM scheduled_order_runs r
+       LEFT JOIN orders o ON r.order_id = o.id
+       WHERE r.scheduled_order_id = ?
+       ORDER BY r.created_at DESC
+       LIMIT 100`,
+      [scheduleId]
+    );
+    res.json({ schedule, runs: runs || [] });
+  } catch (error) {
+    console.error("Get scheduled order runs error:", error);
+    res.status(500).json({
+      error: "Failed to fetch scheduled order runs",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,23 @@ const crypto = require("crypto");
 const upload = require("../middleware/upload");
 const { validateString } = require("../middleware/security");
 const { notifyStatus } = require("../utils/pendingStatusStream");
+const {
+  DEFAULT_ORDER_LIMITS,
+  LIMIT_FIELDS,
+  ensureOrderLimitsTable,
+  getOrderLimits,
+} = require("../utils/orderLimits");
+const { getReceiptNumber } = require("../utils/receipts");
+const { emitWebhookEvent } = require("../utils/webhooks");
+const { notifyBalance } = require("../utils/userOrderStream");
+const { defaultProductCondition } = require("../utils/productCatalog");
+const {
+  ROLE_DISCOUNTS,
+  MAX_DISCOUNT_PERCENT,
+  ensurePricingTables,
+  parseDiscountPercent,
+  getUserDiscount,
+} = require("../utils/pricing");
 const path = require("path");
 const router = express.Router();
 
@@ -178,12 +195,13 @@ const calculateAndAddWeeklyReward = async (userId) => {
     } = getWeekBoundaries();
 
     const [weeklySalesResult] = await connection.query(
-      `SELECT COALESCE(SUM(diamond_amount * quantity), 0) as weekly_sales
+      `SELECT COALESCE(SUM(diamond_amount * COALESCE(delivered_quantity, quantity, 1)), 0) as weekly_sales
        FROM orders 
        WHERE user_id = ? 
        AND status = 'COMPLETED' 
        AND created_at >= ?
-       AND created_at < ?`,
+       AND created_at < ?
+       AND ${defaultProductCondition()}`,
       [userId, weekStartStr, weekEndStr]
     );
     const weeklySales = weeklySalesResult[0]?.weekly_sales || 0;
@@ -318,7 +336,7 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
 
     // Get recent orders
     const [ordersResult] = await pool.query(
-      `SELECT id, order_number, diamond_amount, quantity, points_used, status, created_at 
+      `SELECT id, order_number, diamond_amount, quantity, delivered_quantity, points_used, status, created_at 
        FROM orders 
        WHERE user_id = ? 
        ORDER BY created_at DESC 
@@ -327,10 +345,11 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
     );
 
     // Get order counts by status for Order Center
+    // pending_acceptance: waiting for an admin, pending_recharge: claimed and being topped up
     const [orderCountsResult] = await pool.query(
       `SELECT 
         COALESCE(SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END), 0) as pending_acceptance,
-        COALESCE(SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END), 0) as pending_recharge,
+        COALESCE(SUM(CASE WHEN status = 'PROCESSING' THEN 1 ELSE 0 END), 0) as pending_recharge,
         COALESCE(SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END), 0) as completed,
         COALESCE(SUM(CASE WHEN status = 'REJECTED' THEN 1 ELSE 0 END), 0) as under_appeal
        FROM orders 
@@ -350,11 +369,12 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
     let salesToday = 0;
     try {
       const [salesTodayResult] = await pool.query(
-        `SELECT COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) as sales_today
+        `SELECT COALESCE(SUM(diamond_amount * COALESCE(delivered_quantity, quantity, 1)), 0) as sales_today
          FROM orders 
          WHERE user_id = ? 
          AND status = 'COMPLETED' 
-         AND DATE(created_at) = CURDATE()`,
+         AND DATE(created_at) = CURDATE()
+         AND ${defaultProductCondition()}`,
         [userId]
       );
       salesToday = salesTodayResult[0]?.sales_today || 0;
@@ -387,12 +407,13 @@ router.get("/dashboard", authenticateToken, async (req, res) => {
       );
 
       const [weeklySalesResult] = await pool.query(
-        `SELECT COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) as weekly_sales
+        `SELECT COALESCE(SUM(diamond_amount * COALESCE(delivered_quantity, quantity, 1)), 0) as weekly_sales
          FROM orders 
          WHERE user_id = ? 
          AND status = 'COMPLETED' 
          AND created_at >= ?
-         AND created_at < ?`,
+         AND created_at < ?
+         AND ${defaultProductCondition()}`,
         [userId, weekStartStr, weekEndStr]
       );
       weeklySales = weeklySalesResult[0]?.weekly_sales || 0;
@@ -773,13 +794,21 @@ router.patch(
 
       // Get updated user
       const [result] = await pool.query(
-        `SELECT id, name, id_number, status FROM users WHERE id = ?`,
+        `SELECT id, name, id_number, status, role FROM users WHERE id = ?`,
         [userId]
       );
 
       if (result[0]?.id_number) {
         notifyStatus(result[0].id_number, statusUpper);
       }
+      if (statusUpper === "APPROVED" && result[0]) {
+        emitWebhookEvent("user.approved", {
+          id: result[0].id,
+          name: result[0].name,
+          idNumber: result[0].id_number,
+          role: result[0].role,
+        });
+      }
 
       res.json({
         message: `User ${statusUpper.toLowerCase()} successfully`,
@@ -920,6 +949,20 @@ router.post(
         `Points added: User ID ${userId}, Amount: ${amount}, New Balance: ${result[0].points_balance}`
       );
 
+      notifyBalance(userId).catch((err) => {
+        console.warn("Failed to push balance:", err);
+      });
+      emitWebhookEvent("points.added", {
+        transactionId,
+        receiptNumber: getReceiptNumber("ADMIN_TOPUP", transactionId),
+        source: "ADMIN",
+        userId,
+        amount,
+        balance: Number(result[0].points_balance),
+        description: sanitizedDescription || "Quick Store",
+        addedBy: req.user.id,
+      });
+
       res.json({
         message: "Points added successfully",
         user: {
@@ -930,6 +973,7 @@ router.post(
         },
         receipt: {
           id: transactionRows[0]?.id || transactionId,
+          receipt_number: getReceiptNumber("ADMIN_TOPUP", transactionId),
           user_id: result[0].id,
           receiver_name: userName,
           amount: amount,
@@ -1067,11 +1111,12 @@ router.get(
          LEFT JOIN (
            SELECT 
              user_id,
-             COALESCE(SUM(diamond_amount * COALESCE(quantity, 1)), 0) AS weekly_sales
+             COALESCE(SUM(diamond_amount * COALESCE(delivered_quantity, quantity, 1)), 0) AS weekly_sales
            FROM orders
            WHERE status = 'COMPLETED'
              AND created_at >= ?
              AND created_at <= ?
+             AND ${defaultProductCondition()}
            GROUP BY user_id
          ) ws ON ws.user_id = u.id
          WHERE u.referred_by_id = ? AND u.role = 'USER' AND u.status = 'APPROVED'
@@ -1153,7 +1198,7 @@ router.post(
         `UPDATE users SET points_balance = points_balance + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
         [amount, subUserId]
       );
-      await connection.query(
+      const [transactionResult] = await connection.query(
         `INSERT INTO transactions (user_id, amount, transaction_type, description, merchant_id)
          VALUES (?, ?, 'ADDED', ?, ?)`,
         [subUserId, amount, sanitizedDescription || "Merchant added diamonds", merchantId]
@@ -1169,10 +1214,33 @@ router.post(
         "SELECT points_balance FROM users WHERE id = ?",
         [merchantId]
       );
+      // Both balances changed: the sub-user's and the merchant's own
+      for (const id of [subUserId, merchantId]) {
+        notifyBalance(id).catch((err) => {
+          console.warn("Failed to push balance:", err);
+        });
+      }
+      emitWebhookEvent("points.added", {
+        transactionId: transactionResult.insertId,
+        receiptNumber: getReceiptNumber(
+          "MERCHANT_TOPUP",
+          transactionResult.insertId
+        ),
+        source: "MERCHANT",
+        userId: subUserId,
+        amount,
+        balance: Number(updated[0]?.points_balance),
+        description: sanitizedDescription || "Merchant added diamonds",
+        addedBy: merchantId,
+      });
       res.json({
         message: "Points added successfully",
         user: updated[0],
         merchant_balance: merchantUpdated[0]?.points_balance ?? merchantBalance - amount,
+        receipt_number: getReceiptNumber(
+          "MERCHANT_TOPUP",
+          transactionResult.insertId
+        ),
       });
     } catch (error) {
       try {
@@ -1508,6 +1576,7 @@ router.patch(
       }
 
       const request = requestResult[0];
+      let transactionId = null;
 
       await connection.beginTransaction();
 
@@ -1521,7 +1590,7 @@ router.patch(
         );
 
         // Record transaction
-        await connection.query(
+        const [transactionResult] = await connection.query(
           `INSERT INTO transactions (user_id, amount, transaction_type, description, admin_id)
          VALUES (?, ?, 'ADDED', ?, ?)`,
           [
@@ -1531,6 +1600,7 @@ router.patch(
             adminId,
           ]
         );
+        transactionId = transactionResult.insertId;
 
         // Update request status
         await connection.query(
@@ -1556,6 +1626,26 @@ router.patch(
         `Point request ${action}d: Request ID ${requestId}, User ID ${request.user_id}`
       );
 
+      if (transactionId) {
+        const [balanceResult] = await pool.query(
+          `SELECT points_balance FROM users WHERE id = ?`,
+          [request.user_id]
+        );
+        notifyBalance(request.user_id).catch((err) => {
+          console.warn("Failed to push balance:", err);
+        });
+        emitWebhookEvent("points.added", {
+          transactionId,
+          receiptNumber: getReceiptNumber("ADMIN_TOPUP", transactionId),
+          source: "POINT_REQUEST",
+          userId: request.user_id,
+          amount: Number(request.requested_amount),
+          balance: Number(balanceResult[0]?.points_balance),
+          description: `Point request approved (Request #${requestId})`,
+          addedBy: adminId,
+        });
+      }
+
       res.json({
         message: `Point request ${action}d successfully`,
         requestId: requestId,
@@ -1706,6 +1796,222 @@ router.get(
   }
 );
 
+// Get a user's effective order limits and overrides (Admin only)
+router.get(
+  "/:userId/order-limits",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const [userCheck] = await pool.query("SELECT id FROM users WHERE id = ?", [
+        userId,
+      ]);
+      if (userCheck.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { limits, overrides } = await getOrderLimits(userId);
+      res.json({ userId, limits, overrides, defaults: DEFAULT_ORDER_LIMITS });
+    } catch (error) {
+      console.error("Get order limits error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to fetch order limits", details: error.message });
+    }
+  }
+);
+
+// Override a user's order limits (Admin only) - null resets a limit to the default, 0 disables it
+router.put(
+  "/:userId/order-limits",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const [userCheck] = await pool.query("SELECT id FROM users WHERE id = ?", [
+        userId,
+      ]);
+      if (userCheck.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const bodyKeys = {
+        orders_per_hour: "ordersPerHour",
+        diamonds_per_day: "diamondsPerDay",
+        max_order_value: "maxOrderValue",
+      };
+      const values = {};
+      for (const field of LIMIT_FIELDS) {
+        const raw = req.body[bodyKeys[field]];
+        if (raw === undefined || raw === null || raw === "") {
+          values[field] = null;
+          continue;
+        }
+        const num = parseInt(raw);
+        if (isNaN(num) || num < 0 || num > 100000000) {
+          return res
+            .status(400)
+            .json({ error: `Invalid value for ${bodyKeys[field]}` });
+        }
+        values[field] = num;
+      }
+
+      await ensureOrderLimitsTable();
+      await pool.query(
+        `INSERT INTO user_order_limits (user_id, orders_per_hour, diamonds_per_day, max_order_value, updated_by)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           orders_per_hour = VALUES(orders_per_hour),
+           diamonds_per_day = VALUES(diamonds_per_day),
+           max_order_value = VALUES(max_order_value),
+           updated_by = VALUES(updated_by)`,
+        [
+          userId,
+          values.orders_per_hour,
+          values.diamonds_per_day,
+          values.max_order_value,
+          req.user.id,
+        ]
+      );
+
+      console.log(`Order limits updated for user ${userId} by admin ${req.user.id}`);
+
+      const { limits, overrides } = await getOrderLimits(userId);
+      res.json({
+        message: "Order limits updated",
+        userId,
+        limits,
+        overrides,
+        defaults: DEFAULT_ORDER_LIMITS,
+      });
+    } catch (error) {
+      console.error("Update order limits error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update order limits", details: error.message });
+    }
+  }
+);
+
+// Get a user's pricing: tier, personal discount and the discount in effect (Admin only)
+router.get(
+  "/:userId/pricing",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const [userCheck] = await pool.query("SELECT id FROM users WHERE id = ?", [
+        userId,
+      ]);
+      if (userCheck.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const discount = await getUserDiscount(userId);
+      res.json({ userId, ...discount, roleDiscounts: ROLE_DISCOUNTS });
+    } catch (error) {
+      console.error("Get user pricing error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to fetch user pricing", details: error.message });
+    }
+  }
+);
+
+// Set a user's pricing tier and/or personal discount (Admin only) - null clears either
+router.put(
+  "/:userId/pricing",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.userId);
+      if (isNaN(userId) || userId <= 0) {
+        return res.status(400).json({ error: "Invalid user ID" });
+      }
+
+      const [userCheck] = await pool.query("SELECT id FROM users WHERE id = ?", [
+        userId,
+      ]);
+      if (userCheck.length === 0) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { tierId, discountPercent } = req.body;
+
+      await ensurePricingTables();
+
+      let tier = null;
+      if (tierId !== undefined && tierId !== null && tierId !== "") {
+        const parsedTierId = parseInt(tierId);
+        const [tierRows] = isNaN(parsedTierId)
+          ? [[]]
+          : await pool.query("SELECT id FROM pricing_tiers WHERE id = ?", [
+              parsedTierId,
+            ]);
+        if (tierRows.length === 0) {
+          return res.status(404).json({ error: "Pricing tier not found" });
+        }
+        tier = tierRows[0].id;
+      }
+
+      let discount = null;
+      if (
+        discountPercent !== undefined &&
+        discountPercent !== null &&
+        discountPercent !== ""
+      ) {
+        discount = parseDiscountPercent(discountPercent);
+        if (discount === null) {
+          return res.status(400).json({
+            error: `Discount must be between 0 and ${MAX_DISCOUNT_PERCENT} percent`,
+          });
+        }
+      }
+
+      await pool.query(
+        `INSERT INTO user_pricing (user_id, tier_id, discount_percent, updated_by)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           tier_id = VALUES(tier_id),
+           discount_percent = VALUES(discount_percent),
+           updated_by = VALUES(updated_by)`,
+        [userId, tier, discount, req.user.id]
+      );
+
+      console.log(`Pricing updated for user ${userId} by admin ${req.user.id}`);
+
+      const effective = await getUserDiscount(userId);
+      res.json({
+        message: "User pricing updated",
+        userId,
+        ...effective,
+        roleDiscounts: ROLE_DISCOUNTS,
+      });
+    } catch (error) {
+      console.error("Update user pricing error:", error);
+      res
+        .status(500)
+        .json({ error: "Failed to update user pricing", details: error.message });
+    }
+  }
+);
+
 // Get user details by ID (Admin only) - MUST be after all specific routes like /pending, /approved, etc. Include referrer (merchant) when joined via referral.
 router.get("/:userId", authenticateToken, requireAdmin, async (req, res) => {
   try {
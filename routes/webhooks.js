@@ -0,0 +1,295 @@
+const express = require("express");
+const pool = require("../database/connection");
+const { authenticateToken, requireAdmin } = require("../middleware/auth");
+const { validateString, validateInteger } = require("../middleware/security");
+const {
+  WEBHOOK_EVENTS,
+  ensureWebhookTables,
+  generateWebhookSecret,
+  parseWebhookEvents,
+  parseWebhookUrl,
+  formatWebhook,
+  redeliverWebhook,
+} = require("../utils/webhooks");
+const router = express.Router();
+
+const DELIVERY_STATUSES = ["PENDING", "SUCCESS", "FAILED"];
+
+const DELIVERY_COLUMNS =
+  "d.id, d.webhook_id, d.event, d.status, d.attempts, d.next_attempt_at, d.response_status, d.last_error, d.redelivery_of, d.delivered_at, d.created_at, d.updated_at";
+
+const getWebhook = async (id) => {
+  const [rows] = await pool.query(`SELECT * FROM webhooks WHERE id = ?`, [id]);
+  return rows[0] || null;
+};
+
+const getDelivery = async (id) => {
+  const [rows] = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS}, d.payload, d.response_body, w.name AS webhook_name, w.url
+     FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.id
+     WHERE d.id = ?`,
+    [id]
+  );
+  if (rows.length === 0) return null;
+  let payload = rows[0].payload;
+  try {
+    payload = JSON.parse(payload);
+  } catch (err) {
+    // Keep the raw text
+  }
+  return { ...rows[0], payload };
+};
+
+// Admin: events that can be subscribed to
+router.get("/events", authenticateToken, requireAdmin, (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// Admin: list webhooks with their delivery counts (secrets masked)
+router.get("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await ensureWebhookTables();
+    const [rows] = await pool.query(
+      `SELECT w.*,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'PENDING') AS pending_count,
+              (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'FAILED') AS failed_count
+       FROM webhooks w
+       ORDER BY w.id ASC`
+    );
+    res.json({ webhooks: rows.map((row) => formatWebhook(row)) });
+  } catch (err) {
+    console.error("[Webhooks] List error:", err);
+    res.status(500).json({ error: "Failed to fetch webhooks" });
+  }
+});
+
+// Admin: create webhook. The signing secret is returned once here (and on rotation).
+router.post("/", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { name, url, events, isActive = true } = req.body;
+
+    const safeName = validateString(name, 100);
+    if (!safeName) {
+      return res.status(400).json({ error: "Webhook name is required" });
+    }
+    const safeUrl = parseWebhookUrl(url);
+    if (!safeUrl) {
+      return res.status(400).json({ error: "A valid http(s) URL is required" });
+    }
+    const parsedEvents = parseWebhookEvents(events);
+    if (parsedEvents.error) {
+      return res.status(400).json({ error: parsedEvents.error });
+    }
+
+    await ensureWebhookTables();
+    const [result] = await pool.query(
+      `INSERT INTO webhooks (name, url, secret, events, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        safeName,
+        safeUrl,
+        generateWebhookSecret(),
+        JSON.stringify(parsedEvents.events),
+        isActive ? 1 : 0,
+        req.user.id,
+      ]
+    );
+
+    res.status(201).json({
+      webhook: formatWebhook(await getWebhook(result.insertId), {
+        includeSecret: true,
+      }),
+    });
+  } catch (err) {
+    console.error("[Webhooks] Create error:", err);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+// Admin: update webhook; rotateSecret: true issues a new signing secret
+router.put("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid webhook ID" });
+    }
+
+    const { name, url, events, isActive, rotateSecret } = req.body;
+
+    await ensureWebhookTables();
+    const existing = await getWebhook(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const updates = [];
+    const values = [];
+
+    if (name !== undefined) {
+      const safeName = validateString(name, 100);
+      if (!safeName) {
+        return res.status(400).json({ error: "Invalid webhook name" });
+      }
+      updates.push("name = ?");
+      values.push(safeName);
+    }
+    if (url !== undefined) {
+      const safeUrl = parseWebhookUrl(url);
+      if (!safeUrl) {
+        return res.status(400).json({ error: "A valid http(s) URL is required" });
+      }
+      updates.push("url = ?");
+      values.push(safeUrl);
+    }
+    if (events !== undefined) {
+      const parsedEvents = parseWebhookEvents(events);
+      if (parsedEvents.error) {
+        return res.status(400).json({ error: parsedEvents.error });
+      }
+      updates.push("events = ?");
+      values.push(JSON.stringify(parsedEvents.events));
+    }
+    if (isActive !== undefined) {
+      updates.push("is_active = ?");
+      values.push(isActive ? 1 : 0);
+    }
+    if (rotateSecret) {
+      updates.push("secret = ?");
+      values.push(generateWebhookSecret());
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+
+    values.push(id);
+    await pool.query(
+      `UPDATE webhooks SET ${updates.join(", ")} WHERE id = ?`,
+      values
+    );
+
+    res.json({
+      webhook: formatWebhook(await getWebhook(id), {
+        includeSecret: Boolean(rotateSecret),
+      }),
+    });
+  } catch (err) {
+    console.error("[Webhooks] Update error:", err);
+    res.status(500).json({ error: "Failed to update webhook" });
+  }
+});
+
+// Admin: delete webhook together with its delivery log
+router.delete("/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid webhook ID" });
+    }
+
+    await ensureWebhookTables();
+    const [result] = await pool.query("DELETE FROM webhooks WHERE id = ?", [id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("[Webhooks] Delete error:", err);
+    res.status(500).json({ error: "Failed to delete webhook" });
+  }
+});
+
+// Admin: delivery log, newest first (?webhookId, ?status, ?event, ?limit)
+router.get("/deliveries", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const conditions = [];
+    const values = [];
+
+    if (req.query.webhookId !== undefined) {
+      const webhookId = validateInteger(req.query.webhookId, 1);
+      if (!webhookId) {
+        return res.status(400).json({ error: "Invalid webhook ID" });
+      }
+      conditions.push("d.webhook_id = ?");
+      values.push(webhookId);
+    }
+    if (req.query.status !== undefined) {
+      const status = String(req.query.status).toUpperCase();
+      if (!DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Invalid delivery status" });
+      }
+      conditions.push("d.status = ?");
+      values.push(status);
+    }
+    if (req.query.event !== undefined) {
+      if (!WEBHOOK_EVENTS.includes(req.query.event)) {
+        return res.status(400).json({ error: "Unknown event" });
+      }
+      conditions.push("d.event = ?");
+      values.push(req.query.event);
+    }
+    const limit = validateInteger(req.query.limit, 1, 200) || 50;
+
+    await ensureWebhookTables();
+    const [rows] = await pool.query(
+      `SELECT ${DELIVERY_COLUMNS}, w.name AS webhook_name
+       FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY d.id DESC
+       LIMIT ?`,
+      [...values, limit]
+    );
+    res.json({ deliveries: rows });
+  } catch (err) {
+    console.error("[Webhooks] Delivery list error:", err);
+    res.status(500).json({ error: "Failed to fetch webhook deliveries" });
+  }
+});
+
+// Admin: one delivery with its payload and the endpoint's last response
+router.get("/deliveries/:id", authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id) || id <= 0) {
+      return res.status(400).json({ error: "Invalid delivery ID" });
+    }
+
+    await ensureWebhookTables();
+    const delivery = await getDelivery(id);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json({ delivery });
+  } catch (err) {
+    console.error("[Webhooks] Delivery fetch error:", err);
+    res.status(500).json({ error: "Failed to fetch webhook delivery" });
+  }
+});
+
+// Admin: send a logged delivery again (as a new delivery with the same payload)
+router.post(
+  "/deliveries/:id/redeliver",
+  authenticateToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      if (isNaN(id) || id <= 0) {
+        return res.status(400).json({ error: "Invalid delivery ID" });
+      }
+
+      const deliveryId = await redeliverWebhook(id);
+      if (!deliveryId) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      res.status(201).json({ delivery: await getDelivery(deliveryId) });
+    } catch (err) {
+      console.error("[Webhooks] Redeliver error:", err);
+      res.status(500).json({ error: "Failed to redeliver webhook" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Migration: Automatic fulfilment through provider adapters.
+ * - packages: fulfilment_mode (MANUAL / AUTOMATIC) and provider (adapter name, e.g. mock)
+ * - orders: fulfilment_provider (provider holding the order while it is being fulfilled)
+ * - fulfilment_attempts: created if missing
+ * Run from Backend folder: node scripts/add-fulfilment-providers.js
+ */
+const pool = require("../database/connection");
+const { ensureFulfilmentTable } = require("../utils/fulfilment");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    // Add fulfilment_mode and provider to packages if not exists
+    const modeCols = await connection.query(
+      "SHOW COLUMNS FROM packages LIKE 'fulfilment_mode'"
+    );
+    if (modeCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE packages ADD COLUMN fulfilment_mode ENUM('MANUAL', 'AUTOMATIC') NOT NULL DEFAULT 'MANUAL' AFTER max_quantity"
+      );
+      console.log("Added fulfilment_mode to packages.");
+    } else console.log("fulfilment_mode already exists on packages.");
+
+    const providerCols = await connection.query(
+      "SHOW COLUMNS FROM packages LIKE 'provider'"
+    );
+    if (providerCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE packages ADD COLUMN provider VARCHAR(50) NULL AFTER fulfilment_mode"
+      );
+      console.log("Added provider to packages.");
+    } else console.log("provider already exists on packages.");
+
+    // Add fulfilment_provider to orders if not exists
+    const orderCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'fulfilment_provider'"
+    );
+    if (orderCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN fulfilment_provider VARCHAR(50) NULL AFTER claimed_at"
+      );
+      console.log("Added fulfilment_provider to orders.");
+    } else console.log("fulfilment_provider already exists on orders.");
+
+    await ensureFulfilmentTable();
+    console.log("fulfilment_attempts table ready.");
+
+    console.log("Fulfilment providers migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
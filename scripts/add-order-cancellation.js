@@ -0,0 +1,43 @@
+/**
+ * Migration: Allow resellers to cancel their own pending orders.
+ * - orders.status: widened to VARCHAR(20) so CANCELLED (and later lifecycle statuses) fit
+ * - orders: cancelled_at (nullable) recording when the owner cancelled
+ * Run from Backend folder: node scripts/add-order-cancellation.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [statusCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'status'"
+    );
+    if (statusCols.length > 0 && /^enum/i.test(statusCols[0].Type)) {
+      await connection.query(
+        "ALTER TABLE orders MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'PENDING'"
+      );
+      console.log("Changed orders.status from ENUM to VARCHAR(20).");
+    } else console.log("orders.status is already a free-form column.");
+
+    const cancelledCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'cancelled_at'"
+    );
+    if (cancelledCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN cancelled_at DATETIME NULL"
+      );
+      console.log("Added cancelled_at to orders.");
+    } else console.log("cancelled_at already exists on orders.");
+
+    console.log("Order cancellation migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,43 @@
+/**
+ * Migration: Completion proof attachments on orders.
+ * - orders: completion_proof (nullable uploaded screenshot filename)
+ * - orders: external_reference (nullable supplier / in-app recharge reference number)
+ * Run from Backend folder: node scripts/add-order-completion-proof.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const proofCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'completion_proof'"
+    );
+    if (proofCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN completion_proof VARCHAR(255) NULL"
+      );
+      console.log("Added completion_proof to orders.");
+    } else console.log("completion_proof already exists on orders.");
+
+    const referenceCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'external_reference'"
+    );
+    if (referenceCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN external_reference VARCHAR(100) NULL"
+      );
+      console.log("Added external_reference to orders.");
+    } else console.log("external_reference already exists on orders.");
+
+    console.log("Order completion proof migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,41 @@
+/**
+ * Migration: Duplicate order detection.
+ * - orders: duplicate_of (nullable FK to orders.id) - set when the reseller confirmed a likely duplicate
+ * Run from Backend folder: node scripts/add-order-duplicate-flag.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [duplicateCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'duplicate_of'"
+    );
+    if (duplicateCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN duplicate_of INT NULL"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD CONSTRAINT fk_orders_duplicate_of FOREIGN KEY (duplicate_of) REFERENCES orders(id) ON DELETE SET NULL"
+      ).catch((e) => {
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      console.log("Added duplicate_of to orders.");
+    } else console.log("duplicate_of already exists on orders.");
+
+    await connection.query(
+      "ALTER TABLE orders ADD INDEX idx_orders_user_client_created (user_id, client_imo_id, created_at)"
+    ).catch(() => {});
+
+    console.log("Order duplicate flag migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,36 @@
+/**
+ * Migration: Idempotency keys for order creation.
+ * - orders: idempotency_key (nullable), request_hash (nullable SHA-256 of the order payload)
+ * - unique (user_id, idempotency_key) so a retried request can never create a second order
+ * Run from Backend folder: node scripts/add-order-idempotency.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const keyCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'idempotency_key'"
+    );
+    if (keyCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN idempotency_key VARCHAR(100) NULL, ADD COLUMN request_hash CHAR(64) NULL"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD UNIQUE INDEX uq_orders_user_idempotency (user_id, idempotency_key)"
+      );
+      console.log("Added idempotency_key and request_hash to orders.");
+    } else console.log("idempotency_key already exists on orders.");
+
+    console.log("Order idempotency migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
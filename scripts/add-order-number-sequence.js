@@ -0,0 +1,38 @@
+/**
+ * Migration: Per-day sequential order numbers (ORD-YYYYMMDD-NNNN).
+ * - order_number_counters: created if missing (one counter row per store day)
+ * - orders: unique index on order_number, for lookup by number and as a last guard against reuse
+ * Existing orders keep their old numbers.
+ * Run from Backend folder: node scripts/add-order-number-sequence.js
+ */
+const pool = require("../database/connection");
+const { ensureOrderNumberTable } = require("../utils/orderNumbers");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    await ensureOrderNumberTable();
+    console.log("order_number_counters table is ready.");
+
+    const [indexes] = await connection.query(
+      "SHOW INDEX FROM orders WHERE Column_name = 'order_number'"
+    );
+    if (indexes.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD UNIQUE INDEX uq_orders_order_number (order_number)"
+      );
+      console.log("Added unique index on orders.order_number.");
+    } else console.log("orders.order_number is already indexed.");
+
+    console.log("Order number sequence migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
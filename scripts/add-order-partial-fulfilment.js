@@ -0,0 +1,43 @@
+/**
+ * Migration: Partial fulfilment of multi-quantity orders.
+ * - orders: delivered_quantity (nullable) - top-ups delivered on completion (NULL = full quantity)
+ * - orders: refunded_points (nullable) - points returned for a refund or an undelivered remainder
+ * Run from Backend folder: node scripts/add-order-partial-fulfilment.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [deliveredCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'delivered_quantity'"
+    );
+    if (deliveredCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN delivered_quantity INT NULL"
+      );
+      console.log("Added delivered_quantity to orders.");
+    } else console.log("delivered_quantity already exists on orders.");
+
+    const [refundedCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'refunded_points'"
+    );
+    if (refundedCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN refunded_points DECIMAL(12, 2) NULL"
+      );
+      console.log("Added refunded_points to orders.");
+    } else console.log("refunded_points already exists on orders.");
+
+    console.log("Order partial fulfilment migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
@@ -0,0 +1,37 @@
+/**
+ * Migration: Role- and tier-based pricing.
+ * - orders: unit_price (nullable) - points charged per package unit after discounts
+ * - orders: discount_percent (nullable) - discount applied to the package price
+ * Existing orders are back-filled from points_used / quantity with no discount.
+ * Run from Backend folder: node scripts/add-order-pricing.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [unitPriceCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'unit_price'"
+    );
+    if (unitPriceCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN unit_price DECIMAL(12, 2) NULL, ADD COLUMN discount_percent DECIMAL(5, 2) NULL"
+      );
+      await connection.query(
+        "UPDATE orders SET unit_price = ROUND(points_used / COALESCE(NULLIF(quantity, 0), 1), 2), discount_percent = 0 WHERE unit_price IS NULL"
+      );
+      console.log("Added unit_price and discount_percent to orders.");
+    } else console.log("unit_price already exists on orders.");
+
+    console.log("Order pricing migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
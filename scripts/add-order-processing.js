@@ -0,0 +1,51 @@
+/**
+ * Migration: Order processing lifecycle with admin claims.
+ * - orders.status: widened to VARCHAR(20) for PROCESSING / FAILED (no-op if already done)
+ * - orders: claimed_by (nullable FK to users.id), claimed_at (nullable) for the admin lock
+ * Run from Backend folder: node scripts/add-order-processing.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [statusCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'status'"
+    );
+    if (statusCols.length > 0 && /^enum/i.test(statusCols[0].Type)) {
+      await connection.query(
+        "ALTER TABLE orders MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'PENDING'"
+      );
+      console.log("Changed orders.status from ENUM to VARCHAR(20).");
+    } else console.log("orders.status is already a free-form column.");
+
+    const claimedByCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'claimed_by'"
+    );
+    if (claimedByCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN claimed_by INT NULL, ADD COLUMN claimed_at DATETIME NULL"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD INDEX idx_orders_status_claimed (status, claimed_by)"
+      ).catch(() => {});
+      await connection.query(
+        "ALTER TABLE orders ADD CONSTRAINT fk_orders_claimed_by FOREIGN KEY (claimed_by) REFERENCES users(id) ON DELETE SET NULL"
+      ).catch((e) => {
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      console.log("Added claimed_by and claimed_at to orders.");
+    } else console.log("claimed_by already exists on orders.");
+
+    console.log("Order processing migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
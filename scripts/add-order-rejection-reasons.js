@@ -0,0 +1,43 @@
+/**
+ * Migration: Rejection reasons and admin notes on order decisions.
+ * - orders: rejection_reason (nullable code: INVALID_IMO_ID, DUPLICATE, SUSPECTED_FRAUD, OTHER)
+ * - orders: admin_notes (nullable free text entered with the decision)
+ * Run from Backend folder: node scripts/add-order-rejection-reasons.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const reasonCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'rejection_reason'"
+    );
+    if (reasonCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN rejection_reason VARCHAR(32) NULL"
+      );
+      console.log("Added rejection_reason to orders.");
+    } else console.log("rejection_reason already exists on orders.");
+
+    const notesCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'admin_notes'"
+    );
+    if (notesCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN admin_notes TEXT NULL"
+      );
+      console.log("Added admin_notes to orders.");
+    } else console.log("admin_notes already exists on orders.");
+
+    console.log("Order rejection reasons migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
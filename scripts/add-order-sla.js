@@ -0,0 +1,58 @@
+/**
+ * Migration: Order SLA escalation and auto-expiry.
+ * - orders: queued_at (nullable) restarts the SLA clock when an order re-enters the queue (NULL = created_at)
+ * - orders: escalated_at (nullable) set when admins are re-alerted about a waiting order
+ * - orders: expired_at (nullable) set when the order is expired and refunded
+ * Run from Backend folder: node scripts/add-order-sla.js
+ */
+const pool = require("../database/connection");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    const [queuedCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'queued_at'"
+    );
+    if (queuedCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN queued_at DATETIME NULL"
+      );
+      console.log("Added queued_at to orders.");
+    } else console.log("queued_at already exists on orders.");
+
+    const [escalatedCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'escalated_at'"
+    );
+    if (escalatedCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN escalated_at DATETIME NULL"
+      );
+      console.log("Added escalated_at to orders.");
+    } else console.log("escalated_at already exists on orders.");
+
+    const [expiredCols] = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'expired_at'"
+    );
+    if (expiredCols.length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN expired_at DATETIME NULL"
+      );
+      console.log("Added expired_at to orders.");
+    } else console.log("expired_at already exists on orders.");
+
+    await connection.query(
+      "ALTER TABLE orders ADD INDEX idx_orders_status_created (status, created_at)"
+    ).catch(() => {});
+
+    console.log("Order SLA migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
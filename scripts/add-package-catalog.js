@@ -0,0 +1,54 @@
+/**
+ * Migration: Database-backed diamond package catalog.
+ * - packages: created and seeded with the legacy fixed packages if missing
+ * - orders: package_id (nullable FK to packages.id) recording the package ordered
+ * Run from Backend folder: node scripts/add-package-catalog.js
+ */
+const pool = require("../database/connection");
+const { ensurePackagesTable } = require("../utils/packageCatalog");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    await ensurePackagesTable();
+    console.log("packages table ready.");
+
+    // Add package_id to orders if not exists
+    const orderCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'package_id'"
+    );
+    if (orderCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN package_id INT NULL AFTER client_imo_id"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD INDEX idx_orders_package (package_id)"
+      ).catch(() => {});
+      await connection.query(
+        "ALTER TABLE orders ADD CONSTRAINT fk_orders_package FOREIGN KEY (package_id) REFERENCES packages(id) ON DELETE SET NULL"
+      ).catch((e) => {
+        // Constraint already there from an earlier run (MySQL 8 / 5.7 codes)
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      // Link existing orders to the matching package where possible
+      await connection.query(
+        `UPDATE orders o
+         JOIN packages p ON p.diamond_amount = o.diamond_amount
+         SET o.package_id = p.id
+         WHERE o.package_id IS NULL`
+      );
+      console.log("Added package_id to orders.");
+    } else console.log("package_id already exists on orders.");
+
+    console.log("Package catalog migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
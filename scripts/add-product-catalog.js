@@ -0,0 +1,111 @@
+/**
+ * Migration: Multi-product catalog.
+ * - products: created and seeded with the default IMO Diamonds product if missing
+ * - packages: product_id (FK to products.id); existing packages belong to the default product
+ * - orders: product_id and recipient_details (all recipient field values as JSON)
+ * - scheduled_orders: recipient_details, when the table exists
+ * packages.diamond_amount / orders.diamond_amount keep their names and hold the product's unit amount.
+ * Run from Backend folder: node scripts/add-product-catalog.js
+ */
+const pool = require("../database/connection");
+const {
+  ensureProductsTable,
+  getDefaultProduct,
+} = require("../utils/productCatalog");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    await ensureProductsTable();
+    const defaultProduct = await getDefaultProduct(connection);
+    console.log(`products table ready (default product #${defaultProduct.id}).`);
+
+    // Add product_id to packages if not exists
+    const packageCols = await connection.query(
+      "SHOW COLUMNS FROM packages LIKE 'product_id'"
+    );
+    if (packageCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE packages ADD COLUMN product_id INT NULL AFTER id"
+      );
+      await connection.query(
+        "UPDATE packages SET product_id = ? WHERE product_id IS NULL",
+        [defaultProduct.id]
+      );
+      await connection.query(
+        "ALTER TABLE packages MODIFY COLUMN product_id INT NOT NULL"
+      );
+      await connection.query(
+        "ALTER TABLE packages ADD INDEX idx_packages_product (product_id)"
+      ).catch(() => {});
+      await connection.query(
+        "ALTER TABLE packages ADD CONSTRAINT fk_packages_product FOREIGN KEY (product_id) REFERENCES products(id)"
+      ).catch((e) => {
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      console.log("Added product_id to packages.");
+    } else console.log("product_id already exists on packages.");
+
+    // Add product_id to orders if not exists
+    const orderCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'product_id'"
+    );
+    if (orderCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN product_id INT NULL AFTER package_id"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD INDEX idx_orders_product (product_id, created_at)"
+      ).catch(() => {});
+      await connection.query(
+        "ALTER TABLE orders ADD CONSTRAINT fk_orders_product FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL"
+      ).catch((e) => {
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      // Every existing order was for the default product
+      await connection.query(
+        "UPDATE orders SET product_id = ? WHERE product_id IS NULL",
+        [defaultProduct.id]
+      );
+      console.log("Added product_id to orders.");
+    } else console.log("product_id already exists on orders.");
+
+    // Add recipient_details to orders if not exists
+    const detailCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'recipient_details'"
+    );
+    if (detailCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN recipient_details JSON NULL AFTER client_imo_id"
+      );
+      console.log("Added recipient_details to orders.");
+    } else console.log("recipient_details already exists on orders.");
+
+    // Add recipient_details to scheduled_orders if the table exists
+    const [scheduleTables] = await connection.query(
+      "SHOW TABLES LIKE 'scheduled_orders'"
+    );
+    if (scheduleTables.length > 0) {
+      const scheduleCols = await connection.query(
+        "SHOW COLUMNS FROM scheduled_orders LIKE 'recipient_details'"
+      );
+      if (scheduleCols[0].length === 0) {
+        await connection.query(
+          "ALTER TABLE scheduled_orders ADD COLUMN recipient_details JSON NULL AFTER client_imo_id"
+        );
+        console.log("Added recipient_details to scheduled_orders.");
+      } else console.log("recipient_details already exists on scheduled_orders.");
+    }
+
+    console.log("Product catalog migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
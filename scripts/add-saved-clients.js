@@ -0,0 +1,45 @@
+/**
+ * Migration: Saved client address book for resellers.
+ * - saved_clients: created if missing
+ * - orders: saved_client_id (nullable FK to saved_clients.id) linking orders placed for a saved client
+ * Run from Backend folder: node scripts/add-saved-clients.js
+ */
+const pool = require("../database/connection");
+const { ensureSavedClientsTable } = require("../utils/savedClients");
+require("dotenv").config();
+
+async function run() {
+  const connection = await pool.getConnection();
+  try {
+    await ensureSavedClientsTable();
+    console.log("saved_clients table ready.");
+
+    const orderCols = await connection.query(
+      "SHOW COLUMNS FROM orders LIKE 'saved_client_id'"
+    );
+    if (orderCols[0].length === 0) {
+      await connection.query(
+        "ALTER TABLE orders ADD COLUMN saved_client_id INT NULL"
+      );
+      await connection.query(
+        "ALTER TABLE orders ADD INDEX idx_orders_saved_client (saved_client_id)"
+      ).catch(() => {});
+      await connection.query(
+        "ALTER TABLE orders ADD CONSTRAINT fk_orders_saved_client FOREIGN KEY (saved_client_id) REFERENCES saved_clients(id) ON DELETE SET NULL"
+      ).catch((e) => {
+        if (!["ER_FK_DUP_NAME", "ER_DUP_KEYNAME", "ER_DUP_KEY"].includes(e.code)) throw e;
+      });
+      console.log("Added saved_client_id to orders.");
+    } else console.log("saved_client_id already exists on orders.");
+
+    console.log("Saved clients migration completed.");
+  } catch (error) {
+    console.error("Migration error:", error);
+    throw error;
+  } finally {
+    connection.release();
+    await pool.end();
+  }
+}
+
+run();
@@ -296,7 +296,16 @@ app.use(
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/users/reports", require("./routes/reports"));
+app.use("/api/orders/appeals", require("./routes/appeals"));
+app.use("/api/orders/schedules", require("./routes/schedules"));
 app.use("/api/orders", require("./routes/orders"));
+app.use("/api/packages", require("./routes/packages"));
+app.use("/api/clients", require("./routes/clients"));
+app.use("/api/receipts", require("./routes/receipts"));
+app.use("/api/pricing", require("./routes/pricing"));
+app.use("/api/products", require("./routes/products"));
+app.use("/api/fulfilment", require("./routes/fulfilment"));
+app.use("/api/webhooks", require("./routes/webhooks"));
 app.use("/api/announcements", require("./routes/announcements"));
 
 // Health check
@@ -344,6 +353,62 @@ cron.schedule(
   }
 );
 
+// Scheduled / recurring orders - checks every minute for runs that are due
+const { runDueScheduledOrders } = require("./utils/scheduledOrders");
+cron.schedule(
+  "* * * * *",
+  () => {
+    runDueScheduledOrders().catch((err) => {
+      console.error("[Scheduled Orders] Run failed:", err);
+    });
+  },
+  {
+    timezone: "Asia/Colombo", // Sri Lanka Standard Time (SLST) - UTC+5:30
+  }
+);
+
+// Order SLA - re-alerts admins about waiting orders and expires overdue ones every minute
+const { runOrderSlaChecks } = require("./utils/orderSla");
+cron.schedule(
+  "* * * * *",
+  () => {
+    runOrderSlaChecks().catch((err) => {
+      console.error("[Order SLA] Check failed:", err);
+    });
+  },
+  {
+    timezone: "Asia/Colombo", // Sri Lanka Standard Time (SLST) - UTC+5:30
+  }
+);
+
+// Automatic fulfilment - polls providers for submitted orders every 15 seconds
+const { pollFulfilmentAttempts } = require("./utils/fulfilment");
+cron.schedule(
+  "*/15 * * * * *",
+  () => {
+    pollFulfilmentAttempts().catch((err) => {
+      console.error("[Fulfilment] Poll failed:", err);
+    });
+  },
+  {
+    timezone: "Asia/Colombo", // Sri Lanka Standard Time (SLST) - UTC+5:30
+  }
+);
+
+// Outbound webhooks - retries failed deliveries whose backoff has passed, every minute
+const { runDueWebhookDeliveries } = require("./utils/webhooks");
+cron.schedule(
+  "* * * * *",
+  () => {
+    runDueWebhookDeliveries().catch((err) => {
+      console.error("[Webhooks] Retry run failed:", err);
+    });
+  },
+  {
+    timezone: "Asia/Colombo", // Sri Lanka Standard Time (SLST) - UTC+5:30
+  }
+);
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -352,4 +417,8 @@ app.listen(PORT, () => {
   console.log(
     `[Scheduled Task] Weekly reset scheduled for every Thursday at 21:30 PM (9:30 PM)`
   );
+  console.log(`[Scheduled Task] Scheduled orders checked every minute`);
+  console.log(`[Scheduled Task] Order SLA checked every minute`);
+  console.log(`[Scheduled Task] Fulfilment providers polled every 15 seconds`);
+  console.log(`[Scheduled Task] Webhook retries checked every minute`);
 });
@@ -0,0 +1,396 @@
+// Automatic fulfilment: orders for AUTOMATIC packages are handed to the package's provider adapter
+// (see utils/providers), which completes or fails them without an admin. Results arrive by polling
+// (cron job in server.js) or by provider callback. When the provider errors or gives no result within
+// FULFILMENT_TIMEOUT_MINUTES, the order goes back to the pending queue for manual handling.
+const pool = require("../database/connection");
+const { PROVIDER_STATUSES, getProvider } = require("./providers");
+const { decideOrder, addWeeklyRewardForUser } = require("./orderDecision");
+const { recordOrderEvent } = require("./orderEvents");
+const { normalizeStatus } = require("./orderStatus");
+const { notifyOrderUpdated } = require("./orderStream");
+const { publishOrderUpdate } = require("./userOrderStream");
+
+const FULFILMENT_MODES = ["MANUAL", "AUTOMATIC"];
+
+// Minutes to wait for a provider result before returning the order to the manual queue
+const FULFILMENT_TIMEOUT_MINUTES = Number(
+  process.env.FULFILMENT_TIMEOUT_MINUTES || 30
+);
+
+// Attempt statuses still waiting on the provider; ERROR means it was handed back to an admin
+const OPEN_ATTEMPT_STATUSES = ["SUBMITTING", "SUBMITTED"];
+
+let fulfilmentTableReady = false;
+
+// Ensure fulfilment_attempts table exists
+async function ensureFulfilmentTable() {
+  if (fulfilmentTableReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS fulfilment_attempts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      provider VARCHAR(50) NOT NULL,
+      provider_reference VARCHAR(100) NULL,
+      status ENUM('SUBMITTING', 'SUBMITTED', 'COMPLETED', 'FAILED', 'ERROR') NOT NULL DEFAULT 'SUBMITTING',
+      message VARCHAR(255) NULL,
+      poll_count INT NOT NULL DEFAULT 0,
+      finished_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_fulfilment_open (status, created_at),
+      INDEX idx_fulfilment_reference (provider, provider_reference),
+      INDEX idx_fulfilment_order (order_id),
+      CONSTRAINT fk_fulfilment_order FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+  );
+  fulfilmentTableReady = true;
+}
+
+const truncate = (value, length) =>
+  value === null || value === undefined ? null : String(value).substring(0, length);
+
+// Give up on the provider: close the attempt and put the order back in the pending queue
+async function returnToManualQueue(attemptId, reason) {
+  const [claim] = await pool.query(
+    `UPDATE fulfilment_attempts
+     SET status = 'ERROR', message = ?, finished_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN (?)`,
+    [truncate(reason, 255), attemptId, OPEN_ATTEMPT_STATUSES]
+  );
+  if (claim.affectedRows === 0) return;
+
+  const [attempts] = await pool.query(
+    `SELECT * FROM fulfilment_attempts WHERE id = ?`,
+    [attemptId]
+  );
+  const attempt = attempts[0];
+
+  const connection = await pool.getConnection();
+  let order = null;
+  try {
+    await connection.beginTransaction();
+
+    const [orderResult] = await connection.query(
+      `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
+      [attempt.order_id]
+    );
+    order = orderResult[0];
+    if (
+      !order ||
+      normalizeStatus(order.status) !== "PROCESSING" ||
+      order.fulfilment_provider !== attempt.provider
+    ) {
+      await connection.rollback();
+      return;
+    }
+
+    await connection.query(
+      `UPDATE orders
+       SET status = 'PENDING', fulfilment_provider = NULL, claimed_by = NULL, claimed_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [order.id]
+    );
+
+    // The provider may still deliver; the reference lets the admin check with the supplier first
+    await recordOrderEvent(connection, {
+      orderId: order.id,
+      eventType: "RELEASED",
+      fromStatus: "PROCESSING",
+      toStatus: "PENDING",
+      reason: `${reason}${
+        attempt.provider_reference
+          ? ` - check provider reference ${attempt.provider_reference} before completing`
+          : ""
+      }`,
+    });
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  try {
+    notifyOrderUpdated(order, "PENDING", { fulfilmentProvider: null });
+  } catch (notifyError) {
+    console.warn("Failed to notify returned order:", notifyError);
+  }
+  publishOrderUpdate(order, "PENDING");
+
+  console.warn(
+    `[Fulfilment] ${order.order_number} returned to the manual queue: ${reason}`
+  );
+}
+
+/**
+ * Record a provider result for an attempt. SUBMITTED keeps waiting; COMPLETED / FAILED
+ * decide the order (FAILED refunds it). A poll and a callback may race - only the first
+ * final result is applied.
+ */
+async function applyProviderResult(attemptId, outcome) {
+  if (!outcome || !PROVIDER_STATUSES.includes(outcome.status)) {
+    return returnToManualQueue(attemptId, "Unexpected response from provider");
+  }
+
+  if (outcome.status === "SUBMITTED") {
+    await pool.query(
+      `UPDATE fulfilment_attempts
+       SET status = 'SUBMITTED', provider_reference = COALESCE(?, provider_reference), message = ?
+       WHERE id = ? AND status IN (?)`,
+      [
+        truncate(outcome.reference, 100),
+        truncate(outcome.message, 255),
+        attemptId,
+        OPEN_ATTEMPT_STATUSES,
+      ]
+    );
+    return;
+  }
+
+  const [claim] = await pool.query(
+    `UPDATE fulfilment_attempts
+     SET status = ?, provider_reference = COALESCE(?, provider_reference), message = ?,
+         finished_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN (?)`,
+    [
+      outcome.status,
+      truncate(outcome.reference, 100),
+      truncate(outcome.message, 255),
+      attemptId,
+      OPEN_ATTEMPT_STATUSES,
+    ]
+  );
+  if (claim.affectedRows === 0) return;
+
+  const [attempts] = await pool.query(
+    `SELECT * FROM fulfilment_attempts WHERE id = ?`,
+    [attemptId]
+  );
+  const attempt = attempts[0];
+
+  const decision = await decideOrder(attempt.order_id, outcome.status, null, {
+    externalReference:
+      outcome.status === "COMPLETED" ? attempt.provider_reference : null,
+    adminNotes: truncate(
+      `Provider ${attempt.provider}: ${
+        outcome.message || outcome.status.toLowerCase()
+      }`,
+      1000
+    ),
+  });
+  if (decision.error) {
+    console.warn(
+      `[Fulfilment] ${attempt.provider} result for order ${attempt.order_id} not applied: ${decision.error}`
+    );
+    return;
+  }
+
+  if (outcome.status === "COMPLETED") {
+    await addWeeklyRewardForUser(
+      decision.order.user_id,
+      `automatic fulfilment of order ${attempt.order_id}`
+    );
+  }
+
+  console.log(
+    `[Fulfilment] ${decision.order.order_number} ${outcome.status.toLowerCase()} by provider ${attempt.provider}`
+  );
+}
+
+// Hand a new order to its package's provider when the package is fulfilled automatically.
+// Orders for MANUAL packages (or an unknown provider) are left in the queue untouched.
+async function dispatchAutomaticOrder(order) {
+  if (!order || !order.package_id) return;
+
+  const [packages] = await pool.query(
+    `SELECT p.fulfilment_mode, p.provider, pr.code AS product_code
+     FROM packages p
+     LEFT JOIN products pr ON p.product_id = pr.id
+     WHERE p.id = ?`,
+    [order.package_id]
+  );
+  const pkg = packages[0];
+  if (!pkg || pkg.fulfilment_mode !== "AUTOMATIC") return;
+
+  const provider = getProvider(pkg.provider);
+  if (!provider) {
+    console.warn(
+      `[Fulfilment] Package ${order.package_id} uses unknown provider "${pkg.provider}"; ${order.order_number} left for manual handling`
+    );
+    return;
+  }
+
+  await ensureFulfilmentTable();
+
+  // PENDING -> PROCESSING, held by the provider so admins cannot claim it meanwhile
+  const connection = await pool.getConnection();
+  let attemptId;
+  try {
+    await connection.beginTransaction();
+
+    const [orderResult] = await connection.query(
+      `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
+      [order.id]
+    );
+    if (!orderResult[0] || normalizeStatus(orderResult[0].status) !== "PENDING") {
+      await connection.rollback();
+      return;
+    }
+
+    await connection.query(
+      `UPDATE orders
+       SET status = 'PROCESSING', fulfilment_provider = ?, claimed_by = NULL, claimed_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [provider.name, order.id]
+    );
+
+    await recordOrderEvent(connection, {
+      orderId: order.id,
+      eventType: "SUBMITTED",
+      fromStatus: "PENDING",
+      toStatus: "PROCESSING",
+      reason: `Sent to provider ${provider.name}`,
+    });
+
+    const [attempt] = await connection.query(
+      `INSERT INTO fulfilment_attempts (order_id, provider) VALUES (?, ?)`,
+      [order.id, provider.name]
+    );
+    attemptId = attempt.insertId;
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  try {
+    notifyOrderUpdated(order, "PROCESSING", { fulfilmentProvider: provider.name });
+  } catch (notifyError) {
+    console.warn("Failed to notify dispatched order:", notifyError);
+  }
+  publishOrderUpdate(order, "PROCESSING");
+
+  let outcome;
+  try {
+    let recipientDetails = order.recipient_details;
+    if (typeof recipientDetails === "string") {
+      recipientDetails = JSON.parse(recipientDetails);
+    }
+    outcome = await provider.submitOrder({
+      orderId: order.id,
+      orderNumber: order.order_number,
+      productCode: pkg.product_code,
+      recipientId: order.client_imo_id,
+      recipientDetails: recipientDetails || {},
+      amount: order.diamond_amount,
+      quantity: Number(order.quantity) || 1,
+    });
+  } catch (error) {
+    return returnToManualQueue(
+      attemptId,
+      `Provider ${provider.name} could not take the order: ${error.message}`
+    );
+  }
+
+  await applyProviderResult(attemptId, outcome);
+}
+
+// Match a pushed provider result to its attempt and apply it.
+// Resolves to false when the adapter does not accept the request or the reference is unknown.
+async function handleProviderCallback(providerName, req) {
+  const provider = getProvider(providerName);
+  if (!provider || typeof provider.parseCallback !== "function") return false;
+
+  const outcome = provider.parseCallback(req);
+  if (!outcome || !outcome.reference) return false;
+
+  await ensureFulfilmentTable();
+  const [attempts] = await pool.query(
+    `SELECT id FROM fulfilment_attempts
+     WHERE provider = ? AND provider_reference = ?
+     ORDER BY id DESC
+     LIMIT 1`,
+    [provider.name, outcome.reference]
+  );
+  if (attempts.length === 0) return false;
+
+  await applyProviderResult(attempts[0].id, outcome);
+  return true;
+}
+
+let pollInProgress = false;
+
+// Poll providers for submitted orders and hand back those past the timeout
+async function pollFulfilmentAttempts() {
+  if (pollInProgress) return;
+  pollInProgress = true;
+  try {
+    await ensureFulfilmentTable();
+    const [attempts] = await pool.query(
+      `SELECT *, TIMESTAMPDIFF(MINUTE, created_at, NOW()) AS age_minutes
+       FROM fulfilment_attempts
+       WHERE status IN (?)
+       ORDER BY id ASC
+       LIMIT 100`,
+      [OPEN_ATTEMPT_STATUSES]
+    );
+
+    for (const attempt of attempts) {
+      if (Number(attempt.age_minutes) >= FULFILMENT_TIMEOUT_MINUTES) {
+        await returnToManualQueue(
+          attempt.id,
+          `No result from provider ${attempt.provider} within ${FULFILMENT_TIMEOUT_MINUTES} minutes`
+        );
+        continue;
+      }
+      // SUBMITTING: the submit call is still in flight (a crash mid-call ends in the timeout above)
+      if (attempt.status !== "SUBMITTED") continue;
+
+      const provider = getProvider(attempt.provider);
+      if (!provider) {
+        await returnToManualQueue(
+          attempt.id,
+          `Provider ${attempt.provider} is no longer available`
+        );
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await provider.checkOrder(attempt);
+      } catch (error) {
+        // Keep polling until the timeout; the outcome is unknown, not failed
+        await pool.query(
+          `UPDATE fulfilment_attempts SET poll_count = poll_count + 1, message = ? WHERE id = ?`,
+          [truncate(`Poll failed: ${error.message}`, 255), attempt.id]
+        );
+        continue;
+      }
+
+      await pool.query(
+        `UPDATE fulfilment_attempts SET poll_count = poll_count + 1 WHERE id = ?`,
+        [attempt.id]
+      );
+      await applyProviderResult(attempt.id, outcome);
+    }
+  } finally {
+    pollInProgress = false;
+  }
+}
+
+module.exports = {
+  FULFILMENT_MODES,
+  FULFILMENT_TIMEOUT_MINUTES,
+  ensureFulfilmentTable,
+  dispatchAutomaticOrder,
+  handleProviderCallback,
+  pollFulfilmentAttempts,
+};
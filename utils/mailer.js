@@ -0,0 +1,44 @@
+const nodemailer = require("nodemailer");
+
+let smtpTransport = null;
+
+const getSmtpTransport = () => {
+  if (smtpTransport) return smtpTransport;
+
+  const host = process.env.SMTP_HOST;
+  const port = Number(process.env.SMTP_PORT || 0);
+  const secure = String(process.env.SMTP_SECURE || "").toLowerCase() === "true";
+  const user = process.env.SMTP_USER;
+  const pass = process.env.SMTP_PASS;
+
+  if (!host || !port) {
+    return null;
+  }
+
+  smtpTransport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user && pass ? { user, pass } : undefined,
+  });
+
+  return smtpTransport;
+};
+
+// Send a plain notification email; silently skipped when SMTP is not configured
+const sendNotificationEmail = async (toEmail, subject, text) => {
+  const transport = getSmtpTransport();
+  const from = process.env.SMTP_FROM;
+
+  if (!transport || !from || !toEmail) {
+    return false;
+  }
+
+  await transport.sendMail({ from, to: toEmail, subject, text });
+  return true;
+};
+
+module.exports = {
+  getSmtpTransport,
+  sendNotificationEmail,
+};
@@ -0,0 +1,118 @@
+// CSV parsing for bulk order submission
+const MAX_BULK_ORDER_ROWS = 200;
+
+// Accepted header names (lower-cased, spaces/dashes as underscores) for each column
+const COLUMN_ALIASES = {
+  clientImoId: ["client_imo_id", "clientimoid", "imo_id", "imo"],
+  packageId: ["package_id", "packageid"],
+  package: ["package", "diamond_amount", "diamondamount", "diamonds"],
+  quantity: ["quantity", "qty"],
+};
+
+// Split CSV text into rows of fields; handles quoted fields and "" escapes
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const normalizeHeader = (value) =>
+  value.trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+/**
+ * Parse a bulk order CSV. The header row is optional; without one the columns are
+ * client IMO ID, package (diamond amount or label), quantity.
+ * Resolves to { rows: [{ line, clientImoId, packageId, package, quantity }] } or { error }.
+ */
+function parseOrderCsv(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { error: "CSV file is empty" };
+  }
+
+  const records = splitCsv(text.replace(/^\uFEFF/, ""))
+    .map((fields, index) => ({ fields, line: index + 1 }))
+    .filter(({ fields }) => fields.some((f) => f.trim() !== ""));
+  if (records.length === 0) {
+    return { error: "CSV file is empty" };
+  }
+
+  // Default column positions, replaced by the header row when present
+  let columns = { clientImoId: 0, packageId: -1, package: 1, quantity: 2 };
+  const header = records[0].fields.map(normalizeHeader);
+  const isHeader = header.some((name) =>
+    Object.values(COLUMN_ALIASES).some((aliases) => aliases.includes(name))
+  );
+  if (isHeader) {
+    columns = {};
+    for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+      columns[key] = header.findIndex((name) => aliases.includes(name));
+    }
+    if (columns.clientImoId === -1 || columns.quantity === -1) {
+      return { error: "CSV header must include client_imo_id and quantity" };
+    }
+    if (columns.packageId === -1 && columns.package === -1) {
+      return { error: "CSV header must include package or package_id" };
+    }
+    records.shift();
+  }
+
+  if (records.length === 0) {
+    return { error: "CSV file has no order rows" };
+  }
+  if (records.length > MAX_BULK_ORDER_ROWS) {
+    return {
+      error: `Too many rows. At most ${MAX_BULK_ORDER_ROWS} orders per upload`,
+    };
+  }
+
+  const read = (fields, index) =>
+    index >= 0 && fields[index] !== undefined ? fields[index].trim() : "";
+
+  return {
+    rows: records.map(({ fields, line }) => ({
+      line,
+      clientImoId: read(fields, columns.clientImoId),
+      packageId: read(fields, columns.packageId),
+      package: read(fields, columns.package),
+      quantity: read(fields, columns.quantity),
+    })),
+  };
+}
+
+module.exports = {
+  MAX_BULK_ORDER_ROWS,
+  parseOrderCsv,
+};
@@ -0,0 +1,243 @@
+// Final decisions on orders (COMPLETED / REJECTED / FAILED), shared by the admin order
+// endpoints and automatic fulfilment
+const pool = require("../database/connection");
+const { notifyOrderUpdated, notifyOrderRemoved } = require("./orderStream");
+const { notifyBalance, publishOrderUpdate } = require("./userOrderStream");
+const { refundOrderPoints } = require("./orderService");
+const { SYSTEM_ACTOR, recordOrderEvent } = require("./orderEvents");
+const { emitOrderWebhook } = require("./webhooks");
+const {
+  REFUND_STATUSES,
+  normalizeStatus,
+  getRejectionReasonLabel,
+  canTransition,
+  isClaimHeldByOther,
+  getClaimConflictError,
+} = require("./orderStatus");
+
+// Refund transaction description, including the rejection reason and notes when given
+const describeRefund = (order, statusUpper, { rejectionReason, adminNotes }) => {
+  const details = [getRejectionReasonLabel(rejectionReason), adminNotes]
+    .filter(Boolean)
+    .join(" - ");
+  return `Order ${statusUpper.toLowerCase()}: ${order.order_number}${
+    details ? ` (${details})` : ""
+  }`;
+};
+
+// Apply a decision (COMPLETED / REJECTED / FAILED) to one order in its own transaction.
+// `adminId` is the deciding admin, or null when the system decides (automatic fulfilment).
+// Resolves to { order } on success, or { httpStatus, error } when the order cannot be decided.
+const decideOrder = async (orderId, statusUpper, adminId, details = {}) => {
+  const {
+    rejectionReason = null,
+    adminNotes = null,
+    externalReference = null,
+    completionProof = null,
+    deliveredQuantity = null,
+  } = details;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Get order details (locked so two admins cannot decide it at once)
+    const [orderResult] = await connection.query(
+      `SELECT * FROM orders WHERE id = ? FOR UPDATE`,
+      [orderId]
+    );
+
+    if (orderResult.length === 0) {
+      await connection.rollback();
+      return { httpStatus: 404, error: "Order not found" };
+    }
+
+    const order = orderResult[0];
+
+    if (adminId && isClaimHeldByOther(order, adminId)) {
+      await connection.rollback();
+      return {
+        httpStatus: 409,
+        error: getClaimConflictError(order),
+        claimedBy: order.claimed_by,
+        claimedAt: order.claimed_at,
+      };
+    }
+
+    // Deciding an unclaimed pending order claims it implicitly
+    const currentStatus =
+      order.status === "PENDING" && canTransition(order.status, "PROCESSING")
+        ? "PROCESSING"
+        : order.status;
+
+    if (!canTransition(currentStatus, statusUpper)) {
+      await connection.rollback();
+      return { httpStatus: 400, error: "Order is not pending" };
+    }
+
+    // Completed orders record how many top-ups were delivered; the rest is refunded
+    const orderQuantity = Number(order.quantity) || 1;
+    let delivered = null;
+    let partialRefund = 0;
+    if (statusUpper === "COMPLETED") {
+      delivered = deliveredQuantity || orderQuantity;
+      if (delivered > orderQuantity) {
+        await connection.rollback();
+        return {
+          httpStatus: 400,
+          error: `Delivered quantity cannot exceed the ordered quantity (${orderQuantity})`,
+        };
+      }
+      partialRefund =
+        Math.round(
+          ((Number(order.points_used) * (orderQuantity - delivered)) /
+            orderQuantity) *
+            100
+        ) / 100;
+    }
+
+    // Update order status
+    await connection.query(
+      `UPDATE orders
+       SET status = ?, rejection_reason = ?, admin_notes = ?, external_reference = ?, completion_proof = ?,
+           delivered_quantity = ?, refunded_points = ?,
+           claimed_by = COALESCE(?, claimed_by), claimed_at = COALESCE(claimed_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [
+        statusUpper,
+        rejectionReason,
+        adminNotes,
+        externalReference,
+        completionProof,
+        delivered,
+        REFUND_STATUSES.includes(statusUpper) ? order.points_used : partialRefund,
+        adminId,
+        orderId,
+      ]
+    );
+
+    const actor = adminId ? { type: "ADMIN", id: adminId } : SYSTEM_ACTOR;
+    await recordOrderEvent(connection, {
+      orderId,
+      eventType: statusUpper,
+      actor,
+      fromStatus: normalizeStatus(order.status),
+      toStatus: statusUpper,
+      reason: [
+        getRejectionReasonLabel(rejectionReason),
+        delivered !== null && delivered < orderQuantity
+          ? `Delivered ${delivered} of ${orderQuantity}`
+          : null,
+        externalReference ? `Ref: ${externalReference}` : null,
+        adminNotes,
+      ]
+        .filter(Boolean)
+        .join(" - "),
+    });
+
+    // If rejected or failed, refund points
+    if (REFUND_STATUSES.includes(statusUpper)) {
+      await refundOrderPoints(
+        connection,
+        order,
+        describeRefund(order, statusUpper, { rejectionReason, adminNotes }),
+        actor
+      );
+    } else if (partialRefund > 0) {
+      await refundOrderPoints(
+        connection,
+        order,
+        `Partial delivery refund: ${order.order_number} (${delivered} of ${orderQuantity} delivered)`,
+        actor,
+        partialRefund
+      );
+    }
+
+    await connection.commit();
+
+    const refundedPoints = REFUND_STATUSES.includes(statusUpper)
+      ? order.points_used
+      : partialRefund;
+
+    // Sync other admins' queues, then the owner's own stream
+    try {
+      notifyOrderUpdated(order, statusUpper, {
+        decidedBy: adminId,
+        rejectionReason,
+        deliveredQuantity: delivered,
+        refundedPoints,
+      });
+      notifyOrderRemoved(order, statusUpper);
+    } catch (notifyError) {
+      console.warn("Failed to notify decided order:", notifyError);
+    }
+    publishOrderUpdate(
+      order,
+      statusUpper,
+      {
+        rejectionReason,
+        rejectionReasonLabel: getRejectionReasonLabel(rejectionReason),
+        deliveredQuantity: delivered,
+        refundedPoints,
+      },
+      { balanceChanged: refundedPoints > 0 }
+    );
+
+    const decidedOrder = {
+      ...order,
+      status: statusUpper,
+      rejection_reason: rejectionReason,
+      admin_notes: adminNotes,
+      external_reference: externalReference,
+      completion_proof: completionProof,
+      delivered_quantity: delivered,
+      refunded_points: refundedPoints,
+    };
+    emitOrderWebhook(
+      `order.${statusUpper.toLowerCase()}`,
+      decidedOrder,
+      statusUpper
+    );
+
+    return { order: decidedOrder };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Calculate and add weekly sale reward once orders are completed
+// This ensures rewards appear in admin transactions page right away
+const addWeeklyRewardForUser = async (userId, context) => {
+  try {
+    // Import the reward calculation function
+    const usersModule = require("../routes/users");
+    if (
+      usersModule &&
+      typeof usersModule.calculateAndAddWeeklyReward === "function"
+    ) {
+      await usersModule.calculateAndAddWeeklyReward(userId);
+      await notifyBalance(userId);
+      console.log(
+        `[Order Approval] Reward calculated for user ${userId} after ${context}`
+      );
+    } else {
+      console.warn(
+        `[Order Approval] calculateAndAddWeeklyReward function not found in users module`
+      );
+    }
+  } catch (rewardError) {
+    // Don't fail the order approval if reward calculation fails
+    console.error(
+      `[Order Approval] Failed to calculate reward for user ${userId}:`,
+      rewardError
+    );
+  }
+};
+
+module.exports = {
+  decideOrder,
+  addWeeklyRewardForUser,
+};
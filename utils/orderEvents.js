@@ -0,0 +1,78 @@
+// Order audit trail: one row per state change, written inside the same transaction as the change
+const pool = require("../database/connection");
+
+const ACTOR_TYPES = ["USER", "ADMIN", "SYSTEM"];
+
+const SYSTEM_ACTOR = { type: "SYSTEM", id: null };
+
+let orderEventsTableReady = false;
+
+// Ensure order_events table exists. It is created lazily from inside order transactions
+// (on its own pool connection), so it has no foreign keys that would need a lock on orders.
+async function ensureOrderEventsTable() {
+  if (orderEventsTableReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS order_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      event_type VARCHAR(30) NOT NULL,
+      actor_type ENUM('USER', 'ADMIN', 'SYSTEM') NOT NULL,
+      actor_id INT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NULL,
+      reason VARCHAR(500) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order_events_order (order_id, id)
+    ) ENGINE=InnoDB`
+  );
+  orderEventsTableReady = true;
+}
+
+/**
+ * Record an order event.
+ * `actor` is { type: USER | ADMIN | SYSTEM, id }; pass the transaction's connection so
+ * the event is rolled back together with the change it describes.
+ */
+async function recordOrderEvent(
+  connection,
+  { orderId, eventType, actor = SYSTEM_ACTOR, fromStatus = null, toStatus = null, reason = null }
+) {
+  await ensureOrderEventsTable();
+  await connection.query(
+    `INSERT INTO order_events (order_id, event_type, actor_type, actor_id, from_status, to_status, reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      eventType,
+      actor.type,
+      actor.id || null,
+      fromStatus,
+      toStatus,
+      reason ? String(reason).substring(0, 500) : null,
+    ]
+  );
+}
+
+// Timeline of an order, oldest first, with the actor's name
+async function getOrderEvents(orderId, connection = pool) {
+  await ensureOrderEventsTable();
+  const [events] = await connection.query(
+    `SELECT e.id, e.event_type, e.actor_type, e.actor_id, u.name AS actor_name,
+            e.from_status, e.to_status, e.reason, e.created_at
+     FROM order_events e
+     LEFT JOIN users u ON e.actor_id = u.id
+     WHERE e.order_id = ?
+     ORDER BY e.id ASC`,
+    [orderId]
+  );
+  return events;
+}
+
+module.exports = {
+  ACTOR_TYPES,
+  SYSTEM_ACTOR,
+  ensureOrderEventsTable,
+  recordOrderEvent,
+  getOrderEvents,
+};
@@ -0,0 +1,146 @@
+const pool = require("../database/connection");
+const { REFUND_STATUSES } = require("./orderStatus");
+const { defaultProductCondition } = require("./productCatalog");
+
+// Default per-account limits; admins can override them per user.
+// A limit of 0 disables that check.
+const DEFAULT_ORDER_LIMITS = {
+  orders_per_hour: Number(process.env.ORDER_LIMIT_PER_HOUR || 30),
+  diamonds_per_day: Number(process.env.ORDER_LIMIT_DIAMONDS_PER_DAY || 500000),
+  max_order_value: Number(process.env.ORDER_LIMIT_MAX_ORDER_VALUE || 100000),
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_ORDER_LIMITS);
+
+// Ensure user_order_limits table exists
+const ensureOrderLimitsTable = async () => {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS user_order_limits (
+      user_id INT PRIMARY KEY,
+      orders_per_hour INT NULL,
+      diamonds_per_day INT NULL,
+      max_order_value INT NULL,
+      updated_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_uol_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CONSTRAINT fk_uol_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB`
+  );
+};
+
+// Effective limits for a user: per-user override where set, default otherwise
+async function getOrderLimits(userId, connection = pool) {
+  await ensureOrderLimitsTable();
+  const [rows] = await connection.query(
+    `SELECT orders_per_hour, diamonds_per_day, max_order_value
+     FROM user_order_limits WHERE user_id = ?`,
+    [userId]
+  );
+  const overrides = rows[0] || {};
+  const limits = {};
+  for (const field of LIMIT_FIELDS) {
+    limits[field] =
+      overrides[field] === null || overrides[field] === undefined
+        ? DEFAULT_ORDER_LIMITS[field]
+        : Number(overrides[field]);
+  }
+  return { limits, overrides: rows[0] || null };
+}
+
+const startOfNextDay = (now) => {
+  const next = new Date(now);
+  next.setHours(24, 0, 0, 0);
+  return next;
+};
+
+/**
+ * Check a new order against the user's limits.
+ * totalDiamonds counts default-product (IMO) orders only; pass 0 for other products.
+ * For a batch, pass the combined totalDiamonds, the largest single order as pointsNeeded and orderCount.
+ * Resolves to null when allowed, or { limit, max, current, resetsAt, error } for the first limit hit.
+ */
+async function checkOrderLimits(
+  userId,
+  { totalDiamonds, pointsNeeded, orderCount: newOrders = 1 },
+  connection = pool
+) {
+  const { limits } = await getOrderLimits(userId, connection);
+  const now = new Date();
+
+  if (limits.max_order_value > 0 && pointsNeeded > limits.max_order_value) {
+    return {
+      limit: "max_order_value",
+      max: limits.max_order_value,
+      current: pointsNeeded,
+      resetsAt: null,
+      error: `Order value exceeds your maximum of ${limits.max_order_value.toLocaleString()} points per order`,
+    };
+  }
+
+  if (limits.orders_per_hour > 0 && newOrders > limits.orders_per_hour) {
+    // No amount of waiting lets this batch through; it has to be split
+    return {
+      limit: "orders_per_hour",
+      max: limits.orders_per_hour,
+      current: newOrders,
+      resetsAt: null,
+      error: `Batch of ${newOrders} orders exceeds your limit of ${limits.orders_per_hour} orders per hour`,
+    };
+  }
+
+  if (limits.orders_per_hour > 0) {
+    const [hourResult] = await connection.query(
+      `SELECT COUNT(*) AS order_count, MIN(created_at) AS oldest
+       FROM orders
+       WHERE user_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 1 HOUR)`,
+      [userId]
+    );
+    const orderCount = Number(hourResult[0]?.order_count) || 0;
+    if (orderCount + newOrders > limits.orders_per_hour) {
+      const oldest = hourResult[0].oldest;
+      return {
+        limit: "orders_per_hour",
+        max: limits.orders_per_hour,
+        current: orderCount,
+        resetsAt: oldest
+          ? new Date(new Date(oldest).getTime() + 60 * 60 * 1000)
+          : null,
+        error: `Order limit reached: at most ${limits.orders_per_hour} orders per hour`,
+      };
+    }
+  }
+
+  if (limits.diamonds_per_day > 0) {
+    // Only IMO diamonds count; refunded orders do not count towards the daily total
+    const [dayResult] = await connection.query(
+      `SELECT COALESCE(SUM(diamond_amount * COALESCE(delivered_quantity, quantity, 1)), 0) AS diamonds
+       FROM orders
+       WHERE user_id = ?
+         AND created_at >= CURDATE()
+         AND status NOT IN (?)
+         AND ${defaultProductCondition()}`,
+      [userId, REFUND_STATUSES]
+    );
+    const diamondsToday = Number(dayResult[0]?.diamonds) || 0;
+    if (diamondsToday + totalDiamonds > limits.diamonds_per_day) {
+      return {
+        limit: "diamonds_per_day",
+        max: limits.diamonds_per_day,
+        current: diamondsToday,
+        resetsAt: startOfNextDay(now),
+        error: `Daily limit reached: at most ${limits.diamonds_per_day.toLocaleString()} diamonds per day`,
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_ORDER_LIMITS,
+  LIMIT_FIELDS,
+  ensureOrderLimitsTable,
+  getOrderLimits,
+  checkOrderLimits,
+};
@@ -0,0 +1,89 @@
+// Order numbers: <prefix>-<store date>-<per-day sequence>, e.g. ORD-20261019-0042.
+// The sequence comes from a counter row per day in order_number_counters, incremented on the
+// caller's transaction connection: concurrent inserts queue on the row lock and a rolled-back
+// order gives its number back. Older orders keep their ORD-<timestamp>-<random> numbers.
+//   ORDER_NUMBER_PREFIX  prefix, 1-10 letters or digits (default ORD)
+//   ORDER_NUMBER_DIGITS  minimum sequence width, zero-padded (default 4; grows past 9999)
+const pool = require("../database/connection");
+
+const STORE_TIMEZONE = process.env.APP_TIMEZONE || "Asia/Colombo";
+const ORDER_NUMBER_PREFIX = (process.env.ORDER_NUMBER_PREFIX || "ORD")
+  .trim()
+  .toUpperCase();
+// Fail at startup: any other prefix would give numbers that parseOrderNumber cannot look up
+if (!/^[A-Z0-9]{1,10}$/.test(ORDER_NUMBER_PREFIX)) {
+  throw new Error(
+    `ORDER_NUMBER_PREFIX must be 1-10 letters or digits, got "${process.env.ORDER_NUMBER_PREFIX}"`
+  );
+}
+const ORDER_NUMBER_DIGITS = Math.min(
+  Math.max(Number(process.env.ORDER_NUMBER_DIGITS || 4), 1),
+  10
+);
+
+let counterTableReady = false;
+
+// Ensure order_number_counters table exists. It runs on its own pool connection, so creating
+// it lazily does not commit the order transaction that needs it.
+async function ensureOrderNumberTable() {
+  if (counterTableReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS order_number_counters (
+      counter_date DATE PRIMARY KEY,
+      last_value INT NOT NULL,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB`
+  );
+  counterTableReady = true;
+}
+
+// Today's date in the store timezone as YYYY-MM-DD (en-CA formats dates that way)
+const getStoreDate = (date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: STORE_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+/**
+ * Take the next order number for today. Pass the connection of the transaction that inserts
+ * the order; the counter row stays locked until it commits or rolls back.
+ */
+async function generateOrderNumber(connection) {
+  await ensureOrderNumberTable();
+  const storeDate = getStoreDate();
+
+  // LAST_INSERT_ID(expr) is per connection, so the SELECT reads this increment and no other
+  await connection.query(
+    `INSERT INTO order_number_counters (counter_date, last_value)
+     VALUES (?, LAST_INSERT_ID(1))
+     ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)`,
+    [storeDate]
+  );
+  const [rows] = await connection.query(`SELECT LAST_INSERT_ID() AS value`);
+  const sequence = Number(rows[0].value);
+
+  return `${ORDER_NUMBER_PREFIX}-${storeDate.replace(/-/g, "")}-${String(
+    sequence
+  ).padStart(ORDER_NUMBER_DIGITS, "0")}`;
+}
+
+// Normalise a typed or read-out order number for lookup; null when it cannot be one
+function parseOrderNumber(value) {
+  const orderNumber = String(value || "")
+    .trim()
+    .toUpperCase();
+  return /^[A-Z0-9]+(-[A-Z0-9]+){1,3}$/.test(orderNumber) &&
+    orderNumber.length <= 50
+    ? orderNumber
+    : null;
+}
+
+module.exports = {
+  ORDER_NUMBER_PREFIX,
+  ensureOrderNumberTable,
+  generateOrderNumber,
+  parseOrderNumber,
+};
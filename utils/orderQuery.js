@@ -0,0 +1,227 @@
+// Shared filtering, sorting and cursor pagination for order list endpoints
+const { ORDER_STATUSES } = require("./orderStatus");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const SORT_COLUMNS = {
+  created_at: { expression: "o.created_at", isDate: true },
+  updated_at: { expression: "o.updated_at", isDate: true },
+  points_used: { expression: "o.points_used", isDate: false },
+  total_diamonds: {
+    expression: "(o.diamond_amount * COALESCE(o.quantity, 1))",
+    isDate: false,
+  },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cursor = position of the last row of the previous page (sort value + id tie-breaker)
+function encodeCursor(row, sortBy) {
+  const value =
+    sortBy === "total_diamonds"
+      ? Number(row.diamond_amount) * Number(row.quantity || 1)
+      : row[sortBy];
+  const serialized = value instanceof Date ? value.toISOString() : value;
+  return Buffer.from(
+    JSON.stringify({ v: serialized, id: row.id, s: sortBy })
+  ).toString("base64url");
+}
+
+function decodeCursor(cursor, sortBy) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!decoded || decoded.s !== sortBy || !Number.isInteger(decoded.id)) {
+      return null;
+    }
+    const value = SORT_COLUMNS[sortBy].isDate
+      ? new Date(decoded.v)
+      : Number(decoded.v);
+    if (value instanceof Date ? isNaN(value.getTime()) : isNaN(value)) {
+      return null;
+    }
+    return { value, id: decoded.id };
+  } catch (err) {
+    return null;
+  }
+}
+
+const readString = (value) =>
+  typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+
+const readNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+};
+
+/**
+ * Parse list query parameters into SQL conditions.
+ * `allowUserFilter` enables the admin-only userId filter.
+ * Returns { error } when a parameter is invalid.
+ */
+function parseOrderListQuery(query, { allowUserFilter = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const status = readString(query.status);
+  if (status) {
+    const statuses = status
+      .split(",")
+      .map((s) => s.trim().toUpperCase())
+      .filter(Boolean);
+    if (statuses.some((s) => !ORDER_STATUSES.includes(s))) {
+      return {
+        error: `Invalid status. Use any of: ${ORDER_STATUSES.join(", ")}`,
+      };
+    }
+    conditions.push(
+      `UPPER(TRIM(o.status)) IN (${statuses.map(() => "?").join(", ")})`
+    );
+    params.push(...statuses);
+  }
+
+  if (allowUserFilter && query.userId !== undefined) {
+    const userId = parseInt(query.userId);
+    if (isNaN(userId) || userId <= 0) {
+      return { error: "Invalid user ID" };
+    }
+    conditions.push("o.user_id = ?");
+    params.push(userId);
+  }
+
+  const clientImoId = readString(query.clientImoId);
+  if (clientImoId) {
+    conditions.push("COALESCE(TRIM(o.client_imo_id), '') = ?");
+    params.push(clientImoId);
+  }
+
+  if (query.productId !== undefined) {
+    const productId = parseInt(query.productId);
+    if (isNaN(productId) || productId <= 0) {
+      return { error: "Invalid product ID" };
+    }
+    conditions.push("o.product_id = ?");
+    params.push(productId);
+  }
+
+  if (query.packageId !== undefined) {
+    const packageId = parseInt(query.packageId);
+    if (isNaN(packageId) || packageId <= 0) {
+      return { error: "Invalid package ID" };
+    }
+    conditions.push("o.package_id = ?");
+    params.push(packageId);
+  }
+
+  const from = readString(query.from);
+  const to = readString(query.to);
+  if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+    return { error: "Invalid date. Use YYYY-MM-DD." };
+  }
+  if (from) {
+    conditions.push("o.created_at >= ?");
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    conditions.push("o.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(`${to} 00:00:00`);
+  }
+
+  const minAmount = readNumber(query.minAmount);
+  const maxAmount = readNumber(query.maxAmount);
+  if (minAmount === undefined || maxAmount === undefined) {
+    return { error: "Invalid amount range" };
+  }
+  if (minAmount !== null) {
+    conditions.push("o.points_used >= ?");
+    params.push(minAmount);
+  }
+  if (maxAmount !== null) {
+    conditions.push("o.points_used <= ?");
+    params.push(maxAmount);
+  }
+
+  const sortBy = readString(query.sortBy) || "created_at";
+  if (!SORT_COLUMNS[sortBy]) {
+    return {
+      error: `Invalid sortBy. Use one of: ${Object.keys(SORT_COLUMNS).join(
+        ", "
+      )}`,
+    };
+  }
+  const sortDir =
+    (readString(query.sortDir) || "desc").toLowerCase() === "asc"
+      ? "ASC"
+      : "DESC";
+
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let cursor = null;
+  const rawCursor = readString(query.cursor);
+  if (rawCursor) {
+    cursor = decodeCursor(rawCursor, sortBy);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return { conditions, params, sortBy, sortDir, limit, cursor };
+}
+
+/**
+ * Run a paginated order list query.
+ * `select` / `from` are the SELECT list and FROM/JOIN clause; the orders table must be aliased `o`.
+ * Resolves to { orders, nextCursor, total }.
+ */
+async function fetchOrderPage(db, { select, from, listQuery }) {
+  const { conditions, params, sortBy, sortDir, limit, cursor } = listQuery;
+  const whereClause = conditions.length ? conditions.join(" AND ") : "1=1";
+  const sortExpression = SORT_COLUMNS[sortBy].expression;
+
+  const [countResult] = await db.query(
+    `SELECT COUNT(*) AS total ${from} WHERE ${whereClause}`,
+    params
+  );
+
+  const pageConditions = [whereClause];
+  const pageParams = [...params];
+  if (cursor) {
+    const op = sortDir === "DESC" ? "<" : ">";
+    pageConditions.push(
+      `(${sortExpression} ${op} ? OR (${sortExpression} = ? AND o.id ${op} ?))`
+    );
+    pageParams.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const [rows] = await db.query(
+    `SELECT ${select} ${from}
+     WHERE ${pageConditions.join(" AND ")}
+     ORDER BY ${sortExpression} ${sortDir}, o.id ${sortDir}
+     LIMIT ?`,
+    [...pageParams, limit + 1]
+  );
+
+  const hasMore = rows.length > limit;
+  const orders = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    orders,
+    nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], sortBy) : null,
+    total: Number(countResult[0]?.total) || 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseOrderListQuery,
+  fetchOrderPage,
+};
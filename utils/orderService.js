@@ -0,0 +1,246 @@
+// Order creation steps shared by the order request endpoint and scheduled orders
+const pool = require("../database/connection");
+const { notifyNewOrder } = require("./orderStream");
+const { publishOrderUpdate } = require("./userOrderStream");
+const { sendTelegramOrderNotification } = require("./telegramNotify");
+const { SYSTEM_ACTOR, recordOrderEvent } = require("./orderEvents");
+const { REFUND_STATUSES } = require("./orderStatus");
+const { getProduct } = require("./productCatalog");
+const { emitOrderWebhook } = require("./webhooks");
+const { generateOrderNumber } = require("./orderNumbers");
+
+// Minutes within which a repeat of the same client, amount and quantity counts as a likely duplicate (0 disables)
+const DUPLICATE_WINDOW_MINUTES = Number(
+  process.env.ORDER_DUPLICATE_WINDOW_MINUTES || 10
+);
+
+/**
+ * Insert a PENDING order, deduct its points and record the DEDUCTED transaction and CREATED event.
+ * Runs inside the caller's transaction; database errors are thrown to the caller.
+ * `actor` defaults to the requesting user; `unitPrice` / `discountPercent` record the price charged.
+ * `recipientDetails` holds every recipient field value of the product; `unitLabel` names its units.
+ * The order number comes from today's counter (utils/orderNumbers), locked until the caller commits.
+ * Points are deducted first, so every order path locks the user row before the counter row.
+ * Resolves to { orderId, orderNumber }.
+ */
+async function insertOrderWithDeduction(connection, fields) {
+  const {
+    userId,
+    clientImoId,
+    recipientDetails = null,
+    savedClientId = null,
+    profilePhoto = null,
+    productId,
+    packageId,
+    unitLabel = "Diamonds",
+    diamondAmount,
+    quantity,
+    pointsNeeded,
+    unitPrice = null,
+    discountPercent = null,
+    idempotencyKey = null,
+    requestHash = null,
+    duplicateOf = null,
+    descriptionPrefix = "Diamond request",
+    actor = { type: "USER", id: userId },
+  } = fields;
+
+  // Deduct points from user
+  await connection.query(
+    `UPDATE users
+     SET points_balance = points_balance - ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [pointsNeeded, userId]
+  );
+
+  const orderNumber = await generateOrderNumber(connection);
+
+  // Check if client_profile_photo column exists
+  const [columns] = await connection.query(
+    `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE()
+     AND TABLE_NAME = 'orders'
+     AND COLUMN_NAME = 'client_profile_photo'`
+  );
+  const hasProfilePhoto = columns.some(
+    (col) => col.COLUMN_NAME === "client_profile_photo"
+  );
+
+  const insertColumns = [
+    "order_number",
+    "user_id",
+    "client_imo_id",
+    "recipient_details",
+    "saved_client_id",
+    ...(hasProfilePhoto ? ["client_profile_photo"] : []),
+    "product_id",
+    "package_id",
+    "diamond_amount",
+    "quantity",
+    "points_used",
+    "unit_price",
+    "discount_percent",
+    "idempotency_key",
+    "request_hash",
+    "duplicate_of",
+  ];
+  const insertValues = [
+    orderNumber,
+    userId,
+    clientImoId,
+    recipientDetails ? JSON.stringify(recipientDetails) : null,
+    savedClientId,
+    ...(hasProfilePhoto ? [profilePhoto] : []),
+    productId,
+    packageId,
+    diamondAmount,
+    quantity,
+    pointsNeeded,
+    unitPrice,
+    discountPercent,
+    idempotencyKey,
+    requestHash,
+    duplicateOf,
+  ];
+
+  const [orderResult] = await connection.query(
+    `INSERT INTO orders (${insertColumns.join(", ")}, status)
+     VALUES (${insertColumns.map(() => "?").join(", ")}, 'PENDING')`,
+    insertValues
+  );
+
+  // Record transaction
+  await connection.query(
+    `INSERT INTO transactions (user_id, amount, transaction_type, description)
+     VALUES (?, ?, 'DEDUCTED', ?)`,
+    [
+      userId,
+      pointsNeeded,
+      `${descriptionPrefix}: ${quantity}x ${diamondAmount} ${unitLabel.toLowerCase()} (Order: ${orderNumber})`,
+    ]
+  );
+
+  await recordOrderEvent(connection, {
+    orderId: orderResult.insertId,
+    eventType: "CREATED",
+    actor,
+    toStatus: "PENDING",
+    reason: duplicateOf
+      ? `${descriptionPrefix} (confirmed possible duplicate of order #${duplicateOf})`
+      : descriptionPrefix,
+  });
+
+  return { orderId: orderResult.insertId, orderNumber };
+}
+
+// The user's recent orders for the same product, client, package amount and quantity, newest first.
+// Orders that were refunded (rejected, cancelled, ...) are not counted.
+async function findRecentDuplicates(
+  connection,
+  { userId, productId, clientImoId, diamondAmount, quantity }
+) {
+  if (DUPLICATE_WINDOW_MINUTES <= 0) return [];
+  const [rows] = await connection.query(
+    `SELECT id, order_number, UPPER(TRIM(status)) AS status, created_at
+     FROM orders
+     WHERE user_id = ?
+       AND product_id = ?
+       AND COALESCE(TRIM(client_imo_id), '') = ?
+       AND diamond_amount = ?
+       AND COALESCE(quantity, 1) = ?
+       AND UPPER(TRIM(status)) NOT IN (?)
+       AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY created_at DESC, id DESC
+     LIMIT 5`,
+    [
+      userId,
+      productId,
+      clientImoId,
+      diamondAmount,
+      quantity,
+      REFUND_STATUSES,
+      DUPLICATE_WINDOW_MINUTES,
+    ]
+  );
+  return rows;
+}
+
+// Return an order's points (or `amount` of them) to its requester and record the REFUNDED
+// transaction and event. Runs inside the caller's transaction; `actor` is who triggered the refund.
+async function refundOrderPoints(
+  connection,
+  order,
+  description,
+  actor = SYSTEM_ACTOR,
+  amount = order.points_used
+) {
+  await connection.query(
+    `UPDATE users 
+     SET points_balance = points_balance + ?, updated_at = CURRENT_TIMESTAMP 
+     WHERE id = ?`,
+    [amount, order.user_id]
+  );
+
+  await connection.query(
+    `INSERT INTO transactions (user_id, amount, transaction_type, description, admin_id)
+     VALUES (?, ?, 'REFUNDED', ?, ?)`,
+    [
+      order.user_id,
+      amount,
+      description,
+      actor.type === "ADMIN" ? actor.id : null,
+    ]
+  );
+
+  await recordOrderEvent(connection, {
+    orderId: order.id,
+    eventType: "REFUNDED",
+    actor,
+    reason: description,
+  });
+}
+
+// Push a newly created order to the admin stream, its owner's stream, Telegram and webhooks,
+// then hand it to its provider when the package is fulfilled automatically
+async function announceNewOrder(order, db = pool) {
+  if (!order) return;
+
+  try {
+    notifyNewOrder(order);
+  } catch (notifyError) {
+    console.warn("Failed to notify new order:", notifyError);
+  }
+  publishOrderUpdate(order, "PENDING", {}, { balanceChanged: true });
+  emitOrderWebhook("order.created", order, "PENDING");
+
+  let requester = null;
+  let product = null;
+  try {
+    const [requesterResult] = await db.query(
+      `SELECT name, nickname, id_number FROM users WHERE id = ?`,
+      [order.user_id]
+    );
+    requester = requesterResult[0] || null;
+    product = order.product_id ? await getProduct(order.product_id, db) : null;
+  } catch (err) {
+    console.warn("Failed to load order requester:", err);
+  }
+
+  sendTelegramOrderNotification(order, requester, product).catch((notifyError) => {
+    console.warn("Failed to send Telegram order notification:", notifyError);
+  });
+
+  // Required here: utils/fulfilment decides orders through modules that load this one
+  const { dispatchAutomaticOrder } = require("./fulfilment");
+  dispatchAutomaticOrder(order).catch((dispatchError) => {
+    console.error("[Fulfilment] Dispatch failed:", dispatchError);
+  });
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_MINUTES,
+  findRecentDuplicates,
+  insertOrderWithDeduction,
+  refundOrderPoints,
+  announceNewOrder,
+};
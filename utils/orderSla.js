@@ -0,0 +1,209 @@
+// Order SLA: re-alert admins about orders waiting too long, then expire and refund them.
+// Run by the cron job in server.js. The SLA clock starts at queued_at (or created_at).
+const pool = require("../database/connection");
+const {
+  normalizeStatus,
+  canTransition,
+  isClaimExpired,
+} = require("./orderStatus");
+const { refundOrderPoints } = require("./orderService");
+const { recordOrderEvent } = require("./orderEvents");
+const { getProduct } = require("./productCatalog");
+const { notifyOrderEscalated, notifyOrderRemoved } = require("./orderStream");
+const { publishOrderUpdate } = require("./userOrderStream");
+const { emitOrderWebhook } = require("./webhooks");
+const {
+  sendTelegramOrderEscalation,
+  sendTelegramOrderExpired,
+} = require("./telegramNotify");
+
+// A threshold of 0 disables that step
+const SLA_ESCALATE_MINUTES = Number(
+  process.env.ORDER_SLA_ESCALATE_MINUTES || 30
+);
+const SLA_EXPIRE_HOURS = Number(process.env.ORDER_SLA_EXPIRE_HOURS || 24);
+
+const QUEUED_AT = "COALESCE(o.queued_at, o.created_at)";
+
+// Product of an order for alert messages; alerts still go out if it cannot be loaded
+const loadOrderProduct = (order) =>
+  order.product_id
+    ? getProduct(order.product_id).catch(() => null)
+    : Promise.resolve(null);
+
+// SQL expression for the minutes an order has spent in the queue (orders aliased `o`)
+const MINUTES_IN_QUEUE_SQL = `TIMESTAMPDIFF(MINUTE, ${QUEUED_AT}, NOW())`;
+
+async function escalateWaitingOrders() {
+  const [orders] = await pool.query(
+    `SELECT o.*, ${MINUTES_IN_QUEUE_SQL} AS minutes_in_queue
+     FROM orders o
+     WHERE o.status IN ('PENDING', 'PROCESSING')
+       AND o.escalated_at IS NULL
+       AND ${QUEUED_AT} <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY ${QUEUED_AT} ASC
+     LIMIT 100`,
+    [SLA_ESCALATE_MINUTES]
+  );
+
+  for (const order of orders) {
+    // Only the run that sets escalated_at sends the alert
+    const [result] = await pool.query(
+      `UPDATE orders SET escalated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND escalated_at IS NULL`,
+      [order.id]
+    );
+    if (result.affectedRows === 0) continue;
+
+    const minutesInQueue = Number(order.minutes_in_queue) || 0;
+    try {
+      notifyOrderEscalated(order, minutesInQueue);
+    } catch (notifyError) {
+      console.warn("Failed to notify escalated order:", notifyError);
+    }
+    sendTelegramOrderEscalation(
+      order,
+      minutesInQueue,
+      await loadOrderProduct(order)
+    ).catch((notifyError) => {
+      console.warn("Failed to send Telegram escalation:", notifyError);
+    });
+
+    console.log(
+      `[Order SLA] Escalated ${order.order_number} after ${minutesInQueue} minutes`
+    );
+  }
+}
+
+// Expire one order and refund it; resolves to the expired order or null if it was skipped
+async function expireOrder(orderId) {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [orderResult] = await connection.query(
+      `SELECT o.*, ${MINUTES_IN_QUEUE_SQL} AS minutes_in_queue
+       FROM orders o WHERE o.id = ? FOR UPDATE`,
+      [orderId]
+    );
+    const order = orderResult[0];
+
+    // Re-check under the lock: it may have been decided, or an admin may be working on it
+    if (
+      !order ||
+      !canTransition(order.status, "EXPIRED") ||
+      Number(order.minutes_in_queue) < SLA_EXPIRE_HOURS * 60 ||
+      (normalizeStatus(order.status) === "PROCESSING" && !isClaimExpired(order))
+    ) {
+      await connection.rollback();
+      return null;
+    }
+
+    await connection.query(
+      `UPDATE orders
+       SET status = 'EXPIRED', expired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [orderId]
+    );
+
+    const reason = `Not processed within ${SLA_EXPIRE_HOURS} hours`;
+    await recordOrderEvent(connection, {
+      orderId,
+      eventType: "EXPIRED",
+      fromStatus: normalizeStatus(order.status),
+      toStatus: "EXPIRED",
+      reason,
+    });
+
+    await refundOrderPoints(
+      connection,
+      order,
+      `Order expired: ${order.order_number} (${reason.toLowerCase()})`
+    );
+
+    await connection.commit();
+
+    return order;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function expireOverdueOrders() {
+  const [overdue] = await pool.query(
+    `SELECT o.id FROM orders o
+     WHERE o.status IN ('PENDING', 'PROCESSING')
+       AND ${QUEUED_AT} <= DATE_SUB(NOW(), INTERVAL ? HOUR)
+     ORDER BY ${QUEUED_AT} ASC
+     LIMIT 100`,
+    [SLA_EXPIRE_HOURS]
+  );
+
+  for (const { id } of overdue) {
+    let order;
+    try {
+      order = await expireOrder(id);
+    } catch (error) {
+      console.error(`[Order SLA] Failed to expire order ${id}:`, error);
+      continue;
+    }
+    if (!order) continue;
+
+    const minutesInQueue = Number(order.minutes_in_queue) || 0;
+    try {
+      notifyOrderRemoved(order, "EXPIRED");
+    } catch (notifyError) {
+      console.warn("Failed to notify expired order:", notifyError);
+    }
+    publishOrderUpdate(
+      order,
+      "EXPIRED",
+      { refundedPoints: order.points_used },
+      { balanceChanged: true }
+    );
+    emitOrderWebhook(
+      "order.expired",
+      { ...order, refunded_points: order.points_used },
+      "EXPIRED"
+    );
+    sendTelegramOrderExpired(
+      order,
+      minutesInQueue,
+      await loadOrderProduct(order)
+    ).catch((notifyError) => {
+      console.warn("Failed to send Telegram expiry notice:", notifyError);
+    });
+
+    console.log(
+      `[Order SLA] Expired ${order.order_number} and refunded ${order.points_used} points`
+    );
+  }
+}
+
+let checkInProgress = false;
+
+async function runOrderSlaChecks() {
+  if (checkInProgress) return;
+  checkInProgress = true;
+  try {
+    if (SLA_EXPIRE_HOURS > 0) {
+      await expireOverdueOrders();
+    }
+    if (SLA_ESCALATE_MINUTES > 0) {
+      await escalateWaitingOrders();
+    }
+  } finally {
+    checkInProgress = false;
+  }
+}
+
+module.exports = {
+  SLA_ESCALATE_MINUTES,
+  SLA_EXPIRE_HOURS,
+  MINUTES_IN_QUEUE_SQL,
+  runOrderSlaChecks,
+};
@@ -0,0 +1,89 @@
+// Order lifecycle: PENDING -> PROCESSING (claimed by an admin) -> COMPLETED / REJECTED / FAILED
+// PENDING orders can also be cancelled by their owner, and a PROCESSING claim can be released.
+// A REJECTED order goes back to PENDING when an admin accepts the reseller's appeal.
+// Orders left unfinished past the SLA expiry threshold are EXPIRED by the system.
+// PROCESSING orders with a fulfilment_provider are held by that provider, not an admin.
+const ORDER_STATUSES = [
+  "PENDING",
+  "PROCESSING",
+  "COMPLETED",
+  "REJECTED",
+  "FAILED",
+  "CANCELLED",
+  "EXPIRED",
+];
+
+const ORDER_TRANSITIONS = {
+  PENDING: ["PROCESSING", "CANCELLED", "EXPIRED"],
+  PROCESSING: ["PENDING", "COMPLETED", "REJECTED", "FAILED", "EXPIRED"],
+  COMPLETED: [],
+  REJECTED: ["PENDING"],
+  FAILED: [],
+  CANCELLED: [],
+  EXPIRED: [],
+};
+
+// Final statuses where the points used are returned to the requester
+const REFUND_STATUSES = ["REJECTED", "FAILED", "CANCELLED", "EXPIRED"];
+
+// Structured reasons an admin can give when rejecting an order
+const REJECTION_REASONS = {
+  INVALID_IMO_ID: "Invalid IMO ID",
+  DUPLICATE: "Duplicate order",
+  SUSPECTED_FRAUD: "Suspected fraud",
+  OTHER: "Other",
+};
+
+// Minutes an admin keeps an order claimed before others may take it over
+const CLAIM_TIMEOUT_MINUTES = Number(
+  process.env.ORDER_CLAIM_TIMEOUT_MINUTES || 15
+);
+
+function normalizeStatus(status) {
+  return typeof status === "string" ? status.trim().toUpperCase() : "";
+}
+
+function getRejectionReasonLabel(code) {
+  return REJECTION_REASONS[code] || null;
+}
+
+function canTransition(fromStatus, toStatus) {
+  const allowed = ORDER_TRANSITIONS[normalizeStatus(fromStatus)] || [];
+  return allowed.includes(normalizeStatus(toStatus));
+}
+
+function isClaimExpired(order, now = new Date()) {
+  if (order && order.fulfilment_provider) return false;
+  if (!order || !order.claimed_at) return true;
+  const claimedAt = new Date(order.claimed_at).getTime();
+  return claimedAt + CLAIM_TIMEOUT_MINUTES * 60 * 1000 <= now.getTime();
+}
+
+// Whether the given admin may act on the order right now
+function isClaimHeldByOther(order, adminId) {
+  if (normalizeStatus(order.status) !== "PROCESSING") return false;
+  if (order.fulfilment_provider) return true;
+  if (!order.claimed_by || order.claimed_by === adminId) return false;
+  return !isClaimExpired(order);
+}
+
+// Error for an admin who cannot act on an order held by someone else
+function getClaimConflictError(order) {
+  return order.fulfilment_provider
+    ? "Order is being fulfilled automatically by a provider"
+    : "Order is being processed by another admin";
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  REFUND_STATUSES,
+  REJECTION_REASONS,
+  CLAIM_TIMEOUT_MINUTES,
+  normalizeStatus,
+  getRejectionReasonLabel,
+  canTransition,
+  isClaimExpired,
+  isClaimHeldByOther,
+  getClaimConflictError,
+};
@@ -1,5 +1,12 @@
 const subscribers = new Set();
 
+// Recent events kept for Last-Event-ID replay. Event IDs are "<streamEpoch>-<sequence>" so
+// IDs from before a server restart are recognised as unknown rather than replayed wrongly.
+const REPLAY_BUFFER_SIZE = 500;
+const streamEpoch = Date.now().toString(36);
+let lastSequence = 0;
+const recentEvents = [];
+
 function addSubscriber(res) {
   subscribers.add(res);
 }
@@ -8,26 +15,132 @@ function removeSubscriber(res) {
   subscribers.delete(res);
 }
 
+function writeEvent(res, { id, event, data }) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${data}\n\n`);
+}
+
+function broadcast(event, payload) {
+  lastSequence += 1;
+  const entry = {
+    sequence: lastSequence,
+    id: `${streamEpoch}-${lastSequence}`,
+    event,
+    data: JSON.stringify(payload),
+  };
+  recentEvents.push(entry);
+  if (recentEvents.length > REPLAY_BUFFER_SIZE) {
+    recentEvents.shift();
+  }
+
+  for (const res of Array.from(subscribers)) {
+    try {
+      writeEvent(res, entry);
+    } catch (err) {
+      subscribers.delete(res);
+    }
+  }
+}
+
+/**
+ * Send a reconnecting client the events it missed after `lastEventId`.
+ * When the ID is from an earlier server run or has fallen out of the buffer, a `resync`
+ * event tells the client to reload the pending queue instead.
+ */
+function replayEvents(res, lastEventId) {
+  if (!lastEventId) return;
+
+  const [epoch, sequenceText] = String(lastEventId).split("-");
+  const sequence = parseInt(sequenceText);
+  const oldestSequence = recentEvents.length
+    ? recentEvents[0].sequence
+    : lastSequence + 1;
+
+  if (
+    epoch !== streamEpoch ||
+    isNaN(sequence) ||
+    sequence > lastSequence ||
+    sequence < oldestSequence - 1
+  ) {
+    res.write(
+      `event: resync\ndata: ${JSON.stringify({ reason: "missed-events" })}\n\n`
+    );
+    return;
+  }
+
+  for (const entry of recentEvents) {
+    if (entry.sequence > sequence) {
+      writeEvent(res, entry);
+    }
+  }
+}
+
 function notifyNewOrder(order) {
   if (!order) return;
-  const payload = JSON.stringify({
+  broadcast("new-order", {
     orderId: order.id,
     orderNumber: order.order_number,
     userId: order.user_id,
     createdAt: order.created_at,
   });
+}
 
-  for (const res of Array.from(subscribers)) {
-    try {
-      res.write(`event: new-order\ndata: ${payload}\n\n`);
-    } catch (err) {
-      subscribers.delete(res);
-    }
-  }
+// Tell admins an order was claimed so other screens show it as taken
+function notifyOrderClaimed(order, admin, claimExpiresAt) {
+  if (!order) return;
+  broadcast("order-claimed", {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    userId: order.user_id,
+    status: "PROCESSING",
+    claimedBy: admin.id,
+    claimedByName: admin.name || null,
+    claimExpiresAt,
+  });
+}
+
+// Tell admins an order changed (status or claim) - details depend on the change
+function notifyOrderUpdated(order, status, details = {}) {
+  if (!order) return;
+  broadcast("order-updated", {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    userId: order.user_id,
+    status,
+    ...details,
+  });
+}
+
+// Tell admins an order has left the pending queue (decided, cancelled by its owner or expired)
+function notifyOrderRemoved(order, status) {
+  if (!order) return;
+  broadcast("order-removed", {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    userId: order.user_id,
+    status,
+  });
+}
+
+// Re-alert admins about an order that has waited past the escalation threshold
+function notifyOrderEscalated(order, minutesInQueue) {
+  if (!order) return;
+  broadcast("order-escalated", {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    userId: order.user_id,
+    status: order.status,
+    createdAt: order.created_at,
+    minutesInQueue,
+  });
 }
 
 module.exports = {
   addSubscriber,
   removeSubscriber,
+  replayEvents,
   notifyNewOrder,
+  notifyOrderClaimed,
+  notifyOrderUpdated,
+  notifyOrderRemoved,
+  notifyOrderEscalated,
 };
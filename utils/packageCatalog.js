@@ -0,0 +1,118 @@
+const pool = require("../database/connection");
+const { ensureProductsTable, getDefaultProduct } = require("./productCatalog");
+
+// Packages offered before the catalog moved into the database
+const DEFAULT_DIAMOND_PACKAGES = [10, 50, 100, 200, 500, 1000, 2000, 5000, 10000];
+
+let packagesTableReady = false;
+
+// Ensure packages table exists and seed it with the legacy packages on first run
+async function ensurePackagesTable() {
+  if (packagesTableReady) return;
+
+  await ensureProductsTable();
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS packages (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      label VARCHAR(100) NOT NULL,
+      diamond_amount INT NOT NULL,
+      points_price DECIMAL(12, 2) NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      min_quantity INT NOT NULL DEFAULT 1,
+      max_quantity INT NOT NULL DEFAULT 100,
+      fulfilment_mode ENUM('MANUAL', 'AUTOMATIC') NOT NULL DEFAULT 'MANUAL',
+      provider VARCHAR(50) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_packages_active (is_active, sort_order),
+      INDEX idx_packages_product (product_id),
+      CONSTRAINT fk_packages_product FOREIGN KEY (product_id) REFERENCES products(id)
+    ) ENGINE=InnoDB`
+  );
+
+  const [countResult] = await pool.query(
+    "SELECT COUNT(*) AS total FROM packages"
+  );
+  if (Number(countResult[0]?.total) === 0) {
+    const defaultProduct = await getDefaultProduct();
+    const values = DEFAULT_DIAMOND_PACKAGES.map((amount, index) => [
+      defaultProduct.id,
+      `${amount.toLocaleString()} Diamonds`,
+      amount,
+      amount, // 1 point = 1 diamond
+      1,
+      (index + 1) * 10,
+    ]);
+    await pool.query(
+      `INSERT INTO packages (product_id, label, diamond_amount, points_price, is_active, sort_order)
+       VALUES ?`,
+      [values]
+    );
+    console.log(
+      `[Packages] Seeded ${values.length} default diamond packages`
+    );
+  }
+
+  packagesTableReady = true;
+}
+
+// Active packages of active products
+const ACTIVE_PACKAGE_QUERY = `SELECT p.id, p.product_id, p.label, p.diamond_amount, p.points_price, p.sort_order,
+            p.min_quantity, p.max_quantity, p.fulfilment_mode, p.provider,
+            pr.name AS product_name, pr.unit_label
+     FROM packages p
+     JOIN products pr ON p.product_id = pr.id AND pr.is_active = 1
+     WHERE p.is_active = 1`;
+
+// All active packages, or only those of one product
+async function getActivePackages(connection = pool, productId = null) {
+  await ensurePackagesTable();
+  const [rows] = await connection.query(
+    `${ACTIVE_PACKAGE_QUERY}
+     ${productId ? "AND p.product_id = ?" : ""}
+     ORDER BY pr.sort_order ASC, p.sort_order ASC, p.diamond_amount ASC`,
+    productId ? [productId] : []
+  );
+  return rows;
+}
+
+// Find an active package by its ID, or by amount within a product (the default product
+// for older clients that only send a diamond amount). A package of another product is not a match.
+async function findActivePackage(
+  { packageId, diamondAmount, productId = null },
+  connection = pool
+) {
+  await ensurePackagesTable();
+
+  if (packageId) {
+    const [rows] = await connection.query(
+      `${ACTIVE_PACKAGE_QUERY} AND p.id = ?`,
+      [packageId]
+    );
+    const found = rows[0] || null;
+    return found && (!productId || found.product_id === productId) ? found : null;
+  }
+
+  if (diamondAmount) {
+    const targetProductId =
+      productId || (await getDefaultProduct(connection))?.id;
+    const [rows] = await connection.query(
+      `${ACTIVE_PACKAGE_QUERY} AND p.diamond_amount = ? AND p.product_id = ?
+       ORDER BY p.sort_order ASC
+       LIMIT 1`,
+      [diamondAmount, targetProductId]
+    );
+    return rows[0] || null;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_DIAMOND_PACKAGES,
+  ensurePackagesTable,
+  getActivePackages,
+  findActivePackage,
+};
@@ -0,0 +1,133 @@
+// Pricing engine: point cost of an order from the package price, the user's role and discounts.
+// The discount applied is the most specific one set: per-user override, then pricing tier, then role.
+const pool = require("../database/connection");
+
+// Default discount (percent off the package price) by role
+const ROLE_DISCOUNTS = {
+  USER: Number(process.env.PRICING_USER_DISCOUNT_PERCENT || 0),
+  MERCHANT: Number(process.env.PRICING_MERCHANT_DISCOUNT_PERCENT || 0),
+};
+
+const MAX_DISCOUNT_PERCENT = 90;
+
+let pricingTablesReady = false;
+
+// Ensure pricing_tiers and user_pricing tables exist
+const ensurePricingTables = async () => {
+  if (pricingTablesReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS pricing_tiers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      discount_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+      description VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_pricing_tiers_name (name)
+    ) ENGINE=InnoDB`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS user_pricing (
+      user_id INT PRIMARY KEY,
+      tier_id INT NULL,
+      discount_percent DECIMAL(5, 2) NULL,
+      updated_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      CONSTRAINT fk_up_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      CONSTRAINT fk_up_tier FOREIGN KEY (tier_id) REFERENCES pricing_tiers(id) ON DELETE SET NULL,
+      CONSTRAINT fk_up_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB`
+  );
+  pricingTablesReady = true;
+};
+
+// Validates a discount percentage; returns the rounded value or null
+const parseDiscountPercent = (value) => {
+  const percent = Number(value);
+  if (!Number.isFinite(percent) || percent < 0 || percent > MAX_DISCOUNT_PERCENT) {
+    return null;
+  }
+  return Math.round(percent * 100) / 100;
+};
+
+/**
+ * Effective discount for a user.
+ * Resolves to { discountPercent, source: USER | TIER | ROLE, tier, override, role }.
+ */
+async function getUserDiscount(userId, connection = pool) {
+  await ensurePricingTables();
+  const [rows] = await connection.query(
+    `SELECT u.role, up.discount_percent AS override_percent,
+            t.id AS tier_id, t.name AS tier_name, t.discount_percent AS tier_percent
+     FROM users u
+     LEFT JOIN user_pricing up ON up.user_id = u.id
+     LEFT JOIN pricing_tiers t ON up.tier_id = t.id
+     WHERE u.id = ?`,
+    [userId]
+  );
+  const row = rows[0] || {};
+  const role = row.role || "USER";
+  const tier = row.tier_id
+    ? { id: row.tier_id, name: row.tier_name, discount_percent: Number(row.tier_percent) }
+    : null;
+  const override =
+    row.override_percent === null || row.override_percent === undefined
+      ? null
+      : Number(row.override_percent);
+
+  if (override !== null) {
+    return { discountPercent: override, source: "USER", tier, override, role };
+  }
+  if (tier) {
+    return { discountPercent: tier.discount_percent, source: "TIER", tier, override, role };
+  }
+  return {
+    discountPercent: ROLE_DISCOUNTS[role] || 0,
+    source: "ROLE",
+    tier,
+    override,
+    role,
+  };
+}
+
+// Price one order line from an already-resolved discount
+function priceOrder(selectedPackage, quantity, discount) {
+  const basePrice = Number(selectedPackage.points_price);
+  const discountPercent = Math.min(
+    Math.max(Number(discount.discountPercent) || 0, 0),
+    MAX_DISCOUNT_PERCENT
+  );
+  const unitPrice =
+    Math.round(basePrice * (1 - discountPercent / 100) * 100) / 100;
+
+  return {
+    packageId: selectedPackage.id,
+    label: selectedPackage.label,
+    diamondAmount: selectedPackage.diamond_amount,
+    quantity,
+    totalDiamonds: selectedPackage.diamond_amount * quantity,
+    basePrice,
+    discountPercent,
+    discountSource: discountPercent > 0 ? discount.source : null,
+    unitPrice,
+    pointsNeeded: Math.round(unitPrice * quantity * 100) / 100,
+  };
+}
+
+// Quote an order for a user: { packageId, label, ..., unitPrice, pointsNeeded }
+async function quoteOrder(userId, selectedPackage, quantity, connection = pool) {
+  const discount = await getUserDiscount(userId, connection);
+  return priceOrder(selectedPackage, quantity, discount);
+}
+
+module.exports = {
+  ROLE_DISCOUNTS,
+  MAX_DISCOUNT_PERCENT,
+  ensurePricingTables,
+  parseDiscountPercent,
+  getUserDiscount,
+  priceOrder,
+  quoteOrder,
+};
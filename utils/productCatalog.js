@@ -0,0 +1,309 @@
+// Products sold through the reseller network (IMO diamonds, game and app top-ups, ...).
+// Each product has its own packages and its own recipient fields. The first field is the
+// recipient ID kept in orders.client_imo_id; every field value is kept in orders.recipient_details.
+const pool = require("../database/connection");
+
+const RECIPIENT_FIELD_TYPES = ["text", "digits", "alphanumeric", "phone", "select"];
+const MAX_RECIPIENT_FIELDS = 5;
+const MAX_FIELD_LENGTH = 100;
+
+// The product every order was for before the catalog had more than one
+const DEFAULT_PRODUCT = {
+  code: "IMO",
+  name: "IMO Diamonds",
+  unit_label: "Diamonds",
+  recipient_fields: [
+    { key: "imo_id", label: "Client IMO ID", type: "text", required: true },
+  ],
+};
+
+const FIELD_PATTERNS = {
+  digits: { pattern: /^\d+$/, hint: "digits only" },
+  alphanumeric: { pattern: /^[A-Za-z0-9]+$/, hint: "letters and digits only" },
+  phone: { pattern: /^\+?\d{7,15}$/, hint: "a phone number, e.g. +94771234567" },
+};
+
+let productsTableReady = false;
+
+// Ensure products table exists and seed it with the default product on first run
+async function ensureProductsTable() {
+  if (productsTableReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(30) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      unit_label VARCHAR(50) NOT NULL,
+      recipient_fields JSON NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      sort_order INT NOT NULL DEFAULT 0,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_products_code (code),
+      INDEX idx_products_active (is_active, sort_order)
+    ) ENGINE=InnoDB`
+  );
+
+  await pool.query(
+    `INSERT IGNORE INTO products (code, name, unit_label, recipient_fields, sort_order)
+     VALUES (?, ?, ?, ?, 0)`,
+    [
+      DEFAULT_PRODUCT.code,
+      DEFAULT_PRODUCT.name,
+      DEFAULT_PRODUCT.unit_label,
+      JSON.stringify(DEFAULT_PRODUCT.recipient_fields),
+    ]
+  );
+
+  productsTableReady = true;
+}
+
+const PRODUCT_COLUMNS =
+  "id, code, name, unit_label, recipient_fields, is_active, sort_order, created_at, updated_at";
+
+// recipient_fields comes back parsed from a JSON column, or as text on servers without one
+const formatProduct = (row) =>
+  row
+    ? {
+        ...row,
+        recipient_fields:
+          typeof row.recipient_fields === "string"
+            ? JSON.parse(row.recipient_fields)
+            : row.recipient_fields,
+      }
+    : null;
+
+async function getProduct(productId, connection = pool) {
+  await ensureProductsTable();
+  const [rows] = await connection.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE id = ?`,
+    [productId]
+  );
+  return formatProduct(rows[0]);
+}
+
+async function getDefaultProduct(connection = pool) {
+  await ensureProductsTable();
+  const [rows] = await connection.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products WHERE code = ?`,
+    [DEFAULT_PRODUCT.code]
+  );
+  return formatProduct(rows[0]);
+}
+
+async function getActiveProducts(connection = pool) {
+  await ensureProductsTable();
+  const [rows] = await connection.query(
+    `SELECT ${PRODUCT_COLUMNS} FROM products
+     WHERE is_active = 1
+     ORDER BY sort_order ASC, name ASC`
+  );
+  return rows.map(formatProduct);
+}
+
+/**
+ * Validate an admin-supplied list of recipient field definitions.
+ * Each field: { key, label, type, required = true, minLength, maxLength, options }.
+ * Returns { fields } or { error }.
+ */
+function parseRecipientFields(value) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: "At least one recipient field is required" };
+  }
+  if (value.length > MAX_RECIPIENT_FIELDS) {
+    return { error: `At most ${MAX_RECIPIENT_FIELDS} recipient fields are allowed` };
+  }
+
+  const fields = [];
+  for (const [index, raw] of value.entries()) {
+    const key = typeof raw?.key === "string" ? raw.key.trim() : "";
+    if (!/^[a-z][a-z0-9_]{0,29}$/.test(key)) {
+      return {
+        error: `Field ${index + 1}: key must be lowercase letters, digits or _ (max 30)`,
+      };
+    }
+    if (fields.some((field) => field.key === key)) {
+      return { error: `Field ${index + 1}: duplicate key "${key}"` };
+    }
+
+    const label =
+      typeof raw.label === "string" ? raw.label.trim().replace(/[<>]/g, "") : "";
+    if (!label || label.length > 50) {
+      return { error: `Field "${key}": label is required (max 50 characters)` };
+    }
+
+    const type = raw.type === undefined ? "text" : raw.type;
+    if (!RECIPIENT_FIELD_TYPES.includes(type)) {
+      return {
+        error: `Field "${key}": type must be one of ${RECIPIENT_FIELD_TYPES.join(", ")}`,
+      };
+    }
+
+    const field = { key, label, type, required: raw.required !== false };
+    // The first field is the recipient ID, so it can never be optional
+    if (index === 0 && !field.required) {
+      return { error: `Field "${key}": the first field is the recipient ID and must be required` };
+    }
+
+    for (const limit of ["minLength", "maxLength"]) {
+      if (raw[limit] === undefined || raw[limit] === null) continue;
+      const length = Number(raw[limit]);
+      if (!Number.isInteger(length) || length < 1 || length > MAX_FIELD_LENGTH) {
+        return {
+          error: `Field "${key}": ${limit} must be between 1 and ${MAX_FIELD_LENGTH}`,
+        };
+      }
+      field[limit] = length;
+    }
+    if (field.minLength && field.maxLength && field.minLength > field.maxLength) {
+      return { error: `Field "${key}": minLength must be <= maxLength` };
+    }
+
+    if (type === "select") {
+      const options = Array.isArray(raw.options)
+        ? raw.options
+            .filter((option) => typeof option === "string" && option.trim() !== "")
+            .map((option) => option.trim().substring(0, MAX_FIELD_LENGTH))
+        : [];
+      if (options.length === 0) {
+        return { error: `Field "${key}": select fields need a list of options` };
+      }
+      field.options = [...new Set(options)];
+    }
+
+    fields.push(field);
+  }
+
+  return { fields };
+}
+
+// Read the recipient sent with an order: an object, or a JSON string from multipart forms.
+// Returns {} when none was sent and null when it is malformed.
+function parseRecipientInput(value) {
+  if (value === undefined || value === null || value === "") return {};
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch (err) {
+      return null;
+    }
+  }
+  return typeof value === "object" && !Array.isArray(value) ? value : null;
+}
+
+/**
+ * Validate recipient values against a product's fields.
+ * Returns { recipientId, details } - recipientId is the first field's value - or { error }.
+ */
+function validateRecipient(product, input) {
+  const details = {};
+
+  for (const field of product.recipient_fields) {
+    const raw = input[field.key];
+    const value =
+      typeof raw === "number" ? String(raw) : typeof raw === "string" ? raw.trim() : "";
+
+    if (value === "") {
+      if (field.required) return { error: `${field.label} is required` };
+      continue;
+    }
+
+    const normalized =
+      field.type === "phone" ? value.replace(/[\s()-]/g, "") : value;
+    const maxLength = field.maxLength || MAX_FIELD_LENGTH;
+    if (normalized.length > maxLength) {
+      return { error: `${field.label} must be at most ${maxLength} characters` };
+    }
+    if (field.minLength && normalized.length < field.minLength) {
+      return { error: `${field.label} must be at least ${field.minLength} characters` };
+    }
+
+    if (field.type === "select") {
+      const option = field.options.find(
+        (candidate) => candidate.toLowerCase() === normalized.toLowerCase()
+      );
+      if (!option) {
+        return {
+          error: `${field.label} must be one of: ${field.options.join(", ")}`,
+        };
+      }
+      details[field.key] = option;
+      continue;
+    }
+
+    const rule = FIELD_PATTERNS[field.type];
+    if (rule && !rule.pattern.test(normalized)) {
+      return { error: `${field.label} must be ${rule.hint}` };
+    }
+    details[field.key] = normalized;
+  }
+
+  return {
+    recipientId: details[product.recipient_fields[0].key],
+    details,
+  };
+}
+
+// Recipient of an order request: the `recipient` fields, with a saved client's ID or the
+// older clientImoId field standing in for the recipient ID. Same result as validateRecipient.
+function resolveOrderRecipient(product, recipientInput, { clientImoId, savedClient } = {}) {
+  const recipientIdKey = product.recipient_fields[0].key;
+  const values = { ...recipientInput };
+  if (savedClient) {
+    values[recipientIdKey] = savedClient.client_imo_id;
+  } else if (values[recipientIdKey] === undefined) {
+    values[recipientIdKey] = clientImoId;
+  }
+  return validateRecipient(product, values);
+}
+
+// Whether a product is the default one, the only product whose units are diamonds
+const isDefaultProduct = (product) => product?.code === DEFAULT_PRODUCT.code;
+
+// SQL condition matching orders of the default product. Diamond totals (weekly rewards, the
+// daily diamond limit, sales figures) must not add up units of other products. Orders placed
+// before products existed have no product_id.
+function defaultProductCondition(column = "product_id") {
+  return `(${column} IS NULL OR ${column} = (SELECT id FROM products WHERE code = '${DEFAULT_PRODUCT.code}'))`;
+}
+
+// Labelled recipient values of an order, for messages and receipts.
+// Orders placed before products existed only have client_imo_id.
+function describeRecipient(order, product) {
+  let details = order.recipient_details;
+  if (typeof details === "string") {
+    try {
+      details = JSON.parse(details);
+    } catch (err) {
+      details = null;
+    }
+  }
+
+  const fields = product?.recipient_fields || DEFAULT_PRODUCT.recipient_fields;
+  if (!details) {
+    return order.client_imo_id
+      ? [{ label: fields[0].label, value: order.client_imo_id }]
+      : [];
+  }
+  return fields
+    .filter((field) => details[field.key])
+    .map((field) => ({ label: field.label, value: details[field.key] }));
+}
+
+module.exports = {
+  RECIPIENT_FIELD_TYPES,
+  DEFAULT_PRODUCT,
+  ensureProductsTable,
+  formatProduct,
+  getProduct,
+  getDefaultProduct,
+  getActiveProducts,
+  parseRecipientFields,
+  parseRecipientInput,
+  validateRecipient,
+  resolveOrderRecipient,
+  describeRecipient,
+  isDefaultProduct,
+  defaultProductCondition,
+};
@@ -0,0 +1,31 @@
+// Fulfilment provider adapters: each one sends orders to a supplier's top-up API and reports back.
+// An adapter is an object with:
+//   name                        key stored on packages.provider
+//   submitOrder(request)        send an order; request is { orderId, orderNumber, productCode,
+//                               recipientId, recipientDetails, amount, quantity }
+//   checkOrder(attempt)         poll a submitted order by attempt.provider_reference
+//   parseCallback(req)          optional: read a pushed result; null when the request is not authentic
+// submitOrder / checkOrder resolve to { status, reference, message } where status is
+// SUBMITTED (still in progress), COMPLETED or FAILED; parseCallback adds the reference to match.
+// Thrown errors mean the provider could not be reached and the outcome is unknown.
+const mockProvider = require("./mockProvider");
+
+const PROVIDER_STATUSES = ["SUBMITTED", "COMPLETED", "FAILED"];
+
+const PROVIDERS = {
+  [mockProvider.name]: mockProvider,
+};
+
+function getProvider(name) {
+  return (name && PROVIDERS[name]) || null;
+}
+
+function getProviderNames() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = {
+  PROVIDER_STATUSES,
+  getProvider,
+  getProviderNames,
+};
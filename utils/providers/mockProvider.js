@@ -0,0 +1,85 @@
+// Local mock provider for testing automatic fulfilment offline. Outcomes are decided at submit time:
+// - MOCK_PROVIDER_SUCCESS_RATE   share of orders that complete, 0-1 (default 1)
+// - MOCK_PROVIDER_LATENCY_SECONDS  time before the result is ready (default 5; 0 answers at once)
+// - recipient IDs starting with "FAIL" always fail, so a failure can be forced from an order
+// - MOCK_PROVIDER_CALLBACK_TOKEN enables POST /api/fulfilment/callback/mock with an
+//   X-Mock-Token header and { reference, status, message } to push a result instead of polling
+// State is kept in memory; references from before a restart are reported as unknown.
+const crypto = require("crypto");
+
+const SUCCESS_RATE = Math.min(
+  Math.max(Number(process.env.MOCK_PROVIDER_SUCCESS_RATE ?? 1), 0),
+  1
+);
+const LATENCY_SECONDS = Math.max(
+  Number(process.env.MOCK_PROVIDER_LATENCY_SECONDS ?? 5),
+  0
+);
+const CALLBACK_TOKEN = process.env.MOCK_PROVIDER_CALLBACK_TOKEN || "";
+
+const submissions = new Map();
+
+const result = (reference, status, message) => ({ status, reference, message });
+
+async function submitOrder(request) {
+  const reference = `MOCK-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+  const forcedFailure = /^FAIL/i.test(String(request.recipientId || ""));
+  const succeeds = !forcedFailure && Math.random() < SUCCESS_RATE;
+
+  submissions.set(reference, {
+    readyAt: Date.now() + LATENCY_SECONDS * 1000,
+    status: succeeds ? "COMPLETED" : "FAILED",
+    message: succeeds
+      ? `Delivered ${request.quantity} x ${request.amount} to ${request.recipientId}`
+      : forcedFailure
+      ? "Recipient rejected by mock provider"
+      : "Mock provider declined the top-up",
+  });
+
+  return LATENCY_SECONDS === 0
+    ? checkOrder({ provider_reference: reference })
+    : result(reference, "SUBMITTED", "Accepted by mock provider");
+}
+
+async function checkOrder(attempt) {
+  const reference = attempt.provider_reference;
+  const submission = submissions.get(reference);
+  if (!submission) {
+    throw new Error(`Unknown mock reference ${reference}`);
+  }
+  if (Date.now() < submission.readyAt) {
+    return result(reference, "SUBMITTED", "Still processing");
+  }
+  submissions.delete(reference);
+  return result(reference, submission.status, submission.message);
+}
+
+function parseCallback(req) {
+  const token = req.get("X-Mock-Token") || "";
+  if (
+    !CALLBACK_TOKEN ||
+    token.length !== CALLBACK_TOKEN.length ||
+    !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(CALLBACK_TOKEN))
+  ) {
+    return null;
+  }
+
+  const { reference, status, message } = req.body || {};
+  const statusUpper = String(status || "").toUpperCase();
+  if (!reference || !["COMPLETED", "FAILED"].includes(statusUpper)) {
+    return null;
+  }
+  submissions.delete(reference);
+  return result(
+    String(reference),
+    statusUpper,
+    message ? String(message).substring(0, 255) : null
+  );
+}
+
+module.exports = {
+  name: "mock",
+  submitOrder,
+  checkOrder,
+  parseCallback,
+};
@@ -0,0 +1,85 @@
+// Minimal single-page PDF writer for receipts (built-in Helvetica fonts, no dependencies)
+const { getReceiptTextLines } = require("./receipts");
+
+const PAGE_WIDTH = 298; // ~105mm, receipt-sized page
+const MARGIN = 20;
+const LINE_HEIGHT = 16;
+
+// PDF strings are Latin-1 with ( ) \ escaped; anything else is replaced
+const pdfText = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/[^\x20-\x7E]/g, "?")
+    .replace(/([()\\])/g, "\\$1");
+
+// Rough Helvetica width, good enough to right-align short values
+const textWidth = (value, size) => String(value).length * size * 0.5;
+
+function renderReceiptPdf(receipt) {
+  const { heading, title, sections, footer } = getReceiptTextLines(receipt);
+
+  const rowCount = sections.reduce((sum, rows) => sum + rows.length, 0);
+  const pageHeight =
+    MARGIN * 2 + LINE_HEIGHT * (rowCount + sections.length + 4);
+
+  const commands = [];
+  let y = pageHeight - MARGIN - 14;
+  const text = (font, size, x, value) => {
+    commands.push(`BT /${font} ${size} Tf ${x.toFixed(1)} ${y.toFixed(1)} Td (${pdfText(value)}) Tj ET`);
+  };
+  const centered = (font, size, value) => {
+    text(font, size, Math.max(MARGIN, (PAGE_WIDTH - textWidth(value, size)) / 2), value);
+  };
+
+  centered("F2", 14, heading);
+  y -= LINE_HEIGHT + 2;
+  centered("F1", 11, title);
+  y -= LINE_HEIGHT;
+
+  sections.forEach((rows, index) => {
+    const isTotal = index === sections.length - 1;
+    commands.push(
+      `0.7 G 0.5 w [2 2] 0 d ${MARGIN} ${(y + 6).toFixed(1)} m ${PAGE_WIDTH - MARGIN} ${(y + 6).toFixed(1)} l S [] 0 d 0 G`
+    );
+    y -= LINE_HEIGHT / 2;
+    for (const { label, value } of rows) {
+      const font = isTotal ? "F2" : "F1";
+      const size = isTotal ? 11 : 9;
+      text(font, size, MARGIN, label);
+      text(font, size, Math.max(MARGIN + 90, PAGE_WIDTH - MARGIN - textWidth(value, size)), value);
+      y -= LINE_HEIGHT;
+    }
+  });
+
+  y -= LINE_HEIGHT / 2;
+  centered("F1", 7, footer);
+
+  const content = commands.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${pageHeight}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = {
+  renderReceiptPdf,
+};
@@ -0,0 +1,291 @@
+// Receipts for orders and points top-ups. Receipt numbers are derived from the source row,
+// so every order and top-up has one without storing anything extra:
+//   RO-00000123  order #123
+//   RA-00000456  admin top-up (transaction #456)
+//   RM-00000789  merchant top-up (transaction #789)
+const pool = require("../database/connection");
+const { getRejectionReasonLabel } = require("./orderStatus");
+const { formatProduct, describeRecipient } = require("./productCatalog");
+
+const STORE_NAME = process.env.STORE_NAME || "Digital Top-up";
+const STORE_TIMEZONE = process.env.APP_TIMEZONE || "Asia/Colombo";
+
+const RECEIPT_PREFIXES = {
+  ORDER: "RO",
+  ADMIN_TOPUP: "RA",
+  MERCHANT_TOPUP: "RM",
+};
+
+function getReceiptNumber(type, id) {
+  return `${RECEIPT_PREFIXES[type]}-${String(id).padStart(8, "0")}`;
+}
+
+// Resolves a receipt number to { type, id }, or null when it is malformed
+function parseReceiptNumber(receiptNumber) {
+  const match = /^([A-Z]{2})-(\d{1,12})$/.exec(
+    String(receiptNumber || "").trim().toUpperCase()
+  );
+  if (!match) return null;
+  const type = Object.keys(RECEIPT_PREFIXES).find(
+    (key) => RECEIPT_PREFIXES[key] === match[1]
+  );
+  const id = parseInt(match[2]);
+  return type && id > 0 ? { type, id } : null;
+}
+
+const formatStoreTime = (date) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: STORE_TIMEZONE,
+    year: "numeric",
+    month: "short",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+    timeZoneName: "short",
+  }).format(new Date(date));
+
+const formatPoints = (value) =>
+  Number(value || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 2,
+  });
+
+const describeParty = (name, idNumber) =>
+  name ? `${name}${idNumber ? ` (${idNumber})` : ""}` : idNumber || "-";
+
+async function loadOrderReceipt(orderId, db) {
+  const [rows] = await db.query(
+    `SELECT o.*, UPPER(TRIM(o.status)) AS status,
+            u.name AS user_name, u.id_number AS user_id_number,
+            p.label AS package_label,
+            pr.name AS product_name, pr.unit_label, pr.recipient_fields
+     FROM orders o
+     LEFT JOIN users u ON o.user_id = u.id
+     LEFT JOIN packages p ON o.package_id = p.id
+     LEFT JOIN products pr ON o.product_id = pr.id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  const order = rows[0];
+  if (!order) return null;
+
+  const product = order.product_name
+    ? formatProduct({
+        name: order.product_name,
+        unit_label: order.unit_label,
+        recipient_fields: order.recipient_fields,
+      })
+    : null;
+  const quantity = Number(order.quantity) || 1;
+  const delivered =
+    order.status === "COMPLETED"
+      ? Number(order.delivered_quantity) || quantity
+      : null;
+
+  return {
+    receiptNumber: getReceiptNumber("ORDER", order.id),
+    type: "ORDER",
+    title: product ? `${product.name} Order Receipt` : "Diamond Order Receipt",
+    status: order.status,
+    issuedAt: order.updated_at || order.created_at,
+    viewerIds: [order.user_id],
+    parties: [
+      { label: "Reseller", value: describeParty(order.user_name, order.user_id_number) },
+      ...describeRecipient(order, product),
+    ],
+    lines: [
+      { label: "Order number", value: order.order_number },
+      { label: "Ordered at", value: formatStoreTime(order.created_at) },
+      order.package_label ? { label: "Package", value: order.package_label } : null,
+      {
+        label: product ? product.unit_label : "Diamonds",
+        value: `${quantity} x ${order.diamond_amount} = ${formatPoints(
+          quantity * order.diamond_amount
+        )}`,
+      },
+      delivered !== null && delivered < quantity
+        ? { label: "Delivered", value: `${delivered} of ${quantity}` }
+        : null,
+      order.external_reference
+        ? { label: "Reference", value: order.external_reference }
+        : null,
+      order.rejection_reason
+        ? { label: "Reason", value: getRejectionReasonLabel(order.rejection_reason) }
+        : null,
+      Number(order.discount_percent) > 0
+        ? {
+            label: "Unit price",
+            value: `${formatPoints(order.unit_price)} (${formatPoints(
+              order.discount_percent
+            )}% off)`,
+          }
+        : null,
+      { label: "Points charged", value: formatPoints(order.points_used) },
+      Number(order.refunded_points) > 0
+        ? { label: "Points refunded", value: formatPoints(order.refunded_points) }
+        : null,
+    ].filter(Boolean),
+    total: {
+      label: "Net points",
+      value: formatPoints(
+        Number(order.points_used) - (Number(order.refunded_points) || 0)
+      ),
+    },
+  };
+}
+
+async function loadTopupReceipt(transactionId, db, expectedType = null) {
+  const [rows] = await db.query(
+    `SELECT t.*,
+            u.name AS user_name, u.id_number AS user_id_number,
+            a.name AS admin_name,
+            m.name AS merchant_name, m.id_number AS merchant_id_number
+     FROM transactions t
+     LEFT JOIN users u ON t.user_id = u.id
+     LEFT JOIN users a ON t.admin_id = a.id
+     LEFT JOIN users m ON t.merchant_id = m.id
+     WHERE t.id = ? AND t.transaction_type = 'ADDED'
+       AND (t.admin_id IS NOT NULL OR t.merchant_id IS NOT NULL)`,
+    [transactionId]
+  );
+  const transaction = rows[0];
+  if (!transaction) return null;
+
+  const type = transaction.merchant_id ? "MERCHANT_TOPUP" : "ADMIN_TOPUP";
+  if (expectedType && expectedType !== type) return null;
+
+  return {
+    receiptNumber: getReceiptNumber(type, transaction.id),
+    type,
+    title: "Points Top-up Receipt",
+    status: "SUCCESS",
+    issuedAt: transaction.created_at,
+    viewerIds: [transaction.user_id, transaction.merchant_id].filter(Boolean),
+    parties: [
+      type === "MERCHANT_TOPUP"
+        ? {
+            label: "Merchant",
+            value: describeParty(
+              transaction.merchant_name,
+              transaction.merchant_id_number
+            ),
+          }
+        : { label: "Issued by", value: transaction.admin_name || "Admin" },
+      {
+        label: "Received by",
+        value: describeParty(transaction.user_name, transaction.user_id_number),
+      },
+    ],
+    lines: [
+      { label: "Transaction", value: `#${transaction.id}` },
+      transaction.description
+        ? { label: "Description", value: transaction.description }
+        : null,
+    ].filter(Boolean),
+    total: { label: "Points added", value: formatPoints(transaction.amount) },
+  };
+}
+
+/**
+ * Load a receipt by type and source id. Resolves to null when it does not exist.
+ * `viewerIds` lists the users (besides admins) allowed to see it.
+ */
+async function getReceipt(type, id, db = pool) {
+  if (type === "ORDER") return loadOrderReceipt(id, db);
+  if (type === "ADMIN_TOPUP" || type === "MERCHANT_TOPUP") {
+    return loadTopupReceipt(id, db, type);
+  }
+  return null;
+}
+
+// Top-up receipt by transaction id, whichever kind of top-up it was
+function getTopupReceipt(transactionId, db = pool) {
+  return loadTopupReceipt(transactionId, db);
+}
+
+const escapeHtml = (value) =>
+  String(value === null || value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+function renderReceiptHtml(receipt) {
+  const row = ({ label, value }) =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.receiptNumber)} - ${escapeHtml(STORE_NAME)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 0; padding: 24px; }
+  .receipt { max-width: 420px; margin: 0 auto; border: 1px solid #ddd; padding: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; text-align: center; }
+  h2 { font-size: 15px; font-weight: normal; margin: 0 0 16px; text-align: center; color: #555; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th { text-align: left; font-weight: normal; color: #555; padding: 4px 8px 4px 0; vertical-align: top; }
+  td { text-align: right; padding: 4px 0; }
+  .section { border-top: 1px dashed #bbb; margin-top: 12px; padding-top: 12px; }
+  .total th, .total td { font-weight: bold; color: #111; font-size: 16px; }
+  .footer { margin-top: 16px; text-align: center; font-size: 12px; color: #777; }
+  @media print { body { padding: 0; } .receipt { border: none; } }
+</style>
+</head>
+<body>
+<div class="receipt">
+  <h1>${escapeHtml(STORE_NAME)}</h1>
+  <h2>${escapeHtml(receipt.title)}</h2>
+  <table>
+    ${row({ label: "Receipt no.", value: receipt.receiptNumber })}
+    ${row({ label: "Date", value: formatStoreTime(receipt.issuedAt) })}
+    ${row({ label: "Status", value: receipt.status })}
+  </table>
+  <table class="section">
+    ${receipt.parties.map(row).join("\n    ")}
+  </table>
+  <table class="section">
+    ${receipt.lines.map(row).join("\n    ")}
+  </table>
+  <table class="section total">
+    ${row(receipt.total)}
+  </table>
+  <p class="footer">Times shown in ${escapeHtml(STORE_TIMEZONE)}. Keep this receipt for your records.</p>
+</div>
+</body>
+</html>`;
+}
+
+// Plain label/value lines shared by the PDF renderer
+function getReceiptTextLines(receipt) {
+  return {
+    heading: STORE_NAME,
+    title: receipt.title,
+    sections: [
+      [
+        { label: "Receipt no.", value: receipt.receiptNumber },
+        { label: "Date", value: formatStoreTime(receipt.issuedAt) },
+        { label: "Status", value: receipt.status },
+      ],
+      receipt.parties,
+      receipt.lines,
+      [receipt.total],
+    ],
+    footer: `Times shown in ${STORE_TIMEZONE}.`,
+  };
+}
+
+module.exports = {
+  STORE_NAME,
+  RECEIPT_PREFIXES,
+  getReceiptNumber,
+  parseReceiptNumber,
+  getReceipt,
+  getTopupReceipt,
+  renderReceiptHtml,
+  getReceiptTextLines,
+};
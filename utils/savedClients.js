@@ -0,0 +1,44 @@
+const pool = require("../database/connection");
+
+// Ensure saved_clients table exists
+const ensureSavedClientsTable = async () => {
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS saved_clients (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      nickname VARCHAR(100) NOT NULL,
+      client_imo_id VARCHAR(100) NOT NULL,
+      profile_photo VARCHAR(255) NULL,
+      notes TEXT NULL,
+      last_ordered_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_saved_clients_user_imo (user_id, client_imo_id),
+      CONSTRAINT fk_saved_clients_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+  );
+};
+
+// Get one of the user's saved clients, or null if it does not exist or belongs to someone else
+async function getSavedClient(userId, savedClientId, connection = pool) {
+  await ensureSavedClientsTable();
+  const [rows] = await connection.query(
+    `SELECT id, user_id, nickname, client_imo_id, profile_photo, notes, last_ordered_at, created_at, updated_at
+     FROM saved_clients WHERE id = ? AND user_id = ?`,
+    [savedClientId, userId]
+  );
+  return rows[0] || null;
+}
+
+async function touchSavedClient(savedClientId, connection = pool) {
+  await connection.query(
+    `UPDATE saved_clients SET last_ordered_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [savedClientId]
+  );
+}
+
+module.exports = {
+  ensureSavedClientsTable,
+  getSavedClient,
+  touchSavedClient,
+};
@@ -0,0 +1,331 @@
+// Scheduled (one-off) and recurring (daily / weekly) orders, executed by the cron job in server.js
+const pool = require("../database/connection");
+const { findActivePackage } = require("./packageCatalog");
+const { checkOrderLimits } = require("./orderLimits");
+const { quoteOrder } = require("./pricing");
+const { touchSavedClient } = require("./savedClients");
+const {
+  getProduct,
+  validateRecipient,
+  isDefaultProduct,
+} = require("./productCatalog");
+const {
+  insertOrderWithDeduction,
+  announceNewOrder,
+} = require("./orderService");
+const { sendNotificationEmail } = require("./mailer");
+const { SYSTEM_ACTOR } = require("./orderEvents");
+
+const SCHEDULE_FREQUENCIES = ["ONCE", "DAILY", "WEEKLY"];
+
+let scheduledOrderTablesReady = false;
+
+// Ensure scheduled_orders and scheduled_order_runs tables exist
+const ensureScheduledOrderTables = async () => {
+  if (scheduledOrderTablesReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS scheduled_orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      package_id INT NOT NULL,
+      quantity INT NOT NULL,
+      client_imo_id VARCHAR(100) NOT NULL,
+      recipient_details JSON NULL,
+      saved_client_id INT NULL,
+      frequency ENUM('ONCE', 'DAILY', 'WEEKLY') NOT NULL DEFAULT 'ONCE',
+      next_run_at DATETIME NULL,
+      end_date DATE NULL,
+      status ENUM('ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED') NOT NULL DEFAULT 'ACTIVE',
+      run_count INT NOT NULL DEFAULT 0,
+      failure_count INT NOT NULL DEFAULT 0,
+      last_run_at DATETIME NULL,
+      last_run_status VARCHAR(20) NULL,
+      last_error VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_scheduled_orders_due (status, next_run_at),
+      INDEX idx_scheduled_orders_user (user_id),
+      CONSTRAINT fk_scheduled_orders_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS scheduled_order_runs (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scheduled_order_id INT NOT NULL,
+      status ENUM('SUCCESS', 'FAILED') NOT NULL,
+      order_id INT NULL,
+      error VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_sor_schedule (scheduled_order_id, created_at),
+      CONSTRAINT fk_sor_schedule FOREIGN KEY (scheduled_order_id) REFERENCES scheduled_orders(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+  );
+  scheduledOrderTablesReady = true;
+};
+
+// Next run after `from`, or null when the schedule is finished
+function computeNextRun(schedule, from) {
+  if (schedule.frequency === "ONCE") return null;
+
+  const next = new Date(from);
+  next.setDate(next.getDate() + (schedule.frequency === "WEEKLY" ? 7 : 1));
+
+  if (schedule.end_date) {
+    const endOfDay = new Date(schedule.end_date);
+    endOfDay.setHours(23, 59, 59, 999);
+    if (next > endOfDay) return null;
+  }
+  return next;
+}
+
+// First run after `now`, skipping the ones that fell in the past (server down, schedule paused).
+// Resolves to { nextRunAt, skipped } where skipped lists the missed run times.
+function computeNextRunAfterNow(schedule, from, now = new Date()) {
+  const skipped = [];
+  let next = computeNextRun(schedule, from);
+  while (next && next <= now) {
+    skipped.push(next);
+    next = computeNextRun(schedule, next);
+  }
+  return { nextRunAt: next, skipped };
+}
+
+async function notifyReseller(schedule, subject, text) {
+  try {
+    const [rows] = await pool.query(`SELECT email FROM users WHERE id = ?`, [
+      schedule.user_id,
+    ]);
+    await sendNotificationEmail(rows[0]?.email, subject, text);
+  } catch (err) {
+    console.warn(
+      `[Scheduled Orders] Failed to notify user ${schedule.user_id}:`,
+      err?.message || err
+    );
+  }
+}
+
+// Place the order for one due run; resolves to { orderId } or { error }
+async function placeScheduledOrder(schedule) {
+  const selectedPackage = await findActivePackage({
+    packageId: schedule.package_id,
+  });
+  if (!selectedPackage) {
+    return { error: "Package is no longer available" };
+  }
+  if (
+    schedule.quantity < selectedPackage.min_quantity ||
+    schedule.quantity > selectedPackage.max_quantity
+  ) {
+    return {
+      error: `Quantity must be between ${selectedPackage.min_quantity} and ${selectedPackage.max_quantity}`,
+    };
+  }
+
+  // Recipient fields are checked again in case the product's rules changed since scheduling
+  const product = await getProduct(selectedPackage.product_id);
+  let recipientDetails = schedule.recipient_details;
+  if (typeof recipientDetails === "string") {
+    recipientDetails = JSON.parse(recipientDetails);
+  }
+  const validatedRecipient = validateRecipient(product, {
+    ...(recipientDetails || {}),
+    [product.recipient_fields[0].key]: schedule.client_imo_id,
+  });
+  if (validatedRecipient.error) {
+    return { error: validatedRecipient.error };
+  }
+
+  const totalDiamonds = selectedPackage.diamond_amount * schedule.quantity;
+  // Priced when the run happens, so price and discount changes apply to later runs
+  const quote = await quoteOrder(
+    schedule.user_id,
+    selectedPackage,
+    schedule.quantity
+  );
+  const pointsNeeded = quote.pointsNeeded;
+
+  const limitHit = await checkOrderLimits(schedule.user_id, {
+    totalDiamonds: isDefaultProduct(product) ? totalDiamonds : 0,
+    pointsNeeded,
+  });
+  if (limitHit) {
+    return { error: limitHit.error };
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [userCheck] = await connection.query(
+      `SELECT points_balance, status FROM users WHERE id = ? FOR UPDATE`,
+      [schedule.user_id]
+    );
+    if (userCheck.length === 0 || userCheck[0].status !== "APPROVED") {
+      await connection.rollback();
+      return { error: "Account not approved" };
+    }
+    if (Number(userCheck[0].points_balance) < pointsNeeded) {
+      await connection.rollback();
+      return {
+        error: `Insufficient points (required ${pointsNeeded}, available ${userCheck[0].points_balance})`,
+      };
+    }
+
+    const created = await insertOrderWithDeduction(connection, {
+      userId: schedule.user_id,
+      clientImoId: validatedRecipient.recipientId,
+      recipientDetails: validatedRecipient.details,
+      savedClientId: schedule.saved_client_id,
+      productId: product.id,
+      packageId: selectedPackage.id,
+      unitLabel: product.unit_label,
+      diamondAmount: selectedPackage.diamond_amount,
+      quantity: schedule.quantity,
+      pointsNeeded,
+      unitPrice: quote.unitPrice,
+      discountPercent: quote.discountPercent,
+      descriptionPrefix: `Scheduled diamond request #${schedule.id}`,
+      actor: SYSTEM_ACTOR,
+    });
+
+    if (schedule.saved_client_id) {
+      await touchSavedClient(schedule.saved_client_id, connection);
+    }
+
+    await connection.commit();
+
+    const [newOrder] = await connection.query(
+      `SELECT o.* FROM orders o WHERE o.id = ?`,
+      [created.orderId]
+    );
+    announceNewOrder(newOrder[0]);
+
+    return { orderId: created.orderId, orderNumber: created.orderNumber };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+async function executeSchedule(schedule) {
+  const runAt = new Date();
+  // Only the due run is placed; runs missed while the server was down are skipped, not replayed
+  const { nextRunAt, skipped } = computeNextRunAfterNow(
+    schedule,
+    schedule.next_run_at,
+    runAt
+  );
+
+  // Claim this run by moving next_run_at forward; another worker that got here first wins
+  const [claim] = await pool.query(
+    `UPDATE scheduled_orders
+     SET next_run_at = ?, status = ?, last_run_at = ?
+     WHERE id = ? AND status = 'ACTIVE' AND next_run_at = ?`,
+    [
+      nextRunAt,
+      nextRunAt ? "ACTIVE" : "COMPLETED",
+      runAt,
+      schedule.id,
+      schedule.next_run_at,
+    ]
+  );
+  if (claim.affectedRows === 0) return;
+
+  if (skipped.length > 0) {
+    console.warn(
+      `[Scheduled Orders] Schedule ${schedule.id} (user ${schedule.user_id}): skipped ${
+        skipped.length
+      } missed run(s): ${skipped.map((date) => date.toISOString()).join(", ")}`
+    );
+  }
+
+  let outcome;
+  try {
+    outcome = await placeScheduledOrder(schedule);
+  } catch (error) {
+    console.error(`[Scheduled Orders] Run of schedule ${schedule.id} failed:`, error);
+    outcome = { error: "Internal error while placing the order" };
+  }
+
+  const succeeded = !outcome.error;
+  await pool.query(
+    `INSERT INTO scheduled_order_runs (scheduled_order_id, status, order_id, error)
+     VALUES (?, ?, ?, ?)`,
+    [
+      schedule.id,
+      succeeded ? "SUCCESS" : "FAILED",
+      outcome.orderId || null,
+      succeeded ? null : outcome.error.substring(0, 255),
+    ]
+  );
+  await pool.query(
+    `UPDATE scheduled_orders
+     SET run_count = run_count + 1,
+         failure_count = failure_count + ?,
+         last_run_status = ?,
+         last_error = ?
+     WHERE id = ?`,
+    [
+      succeeded ? 0 : 1,
+      succeeded ? "SUCCESS" : "FAILED",
+      succeeded ? null : outcome.error.substring(0, 255),
+      schedule.id,
+    ]
+  );
+
+  console.log(
+    `[Scheduled Orders] Schedule ${schedule.id} (user ${schedule.user_id}): ${
+      succeeded ? `created ${outcome.orderNumber}` : `skipped - ${outcome.error}`
+    }`
+  );
+
+  const nextLine = nextRunAt
+    ? `Next run: ${nextRunAt.toLocaleString()}`
+    : "This schedule has finished.";
+  if (succeeded) {
+    await notifyReseller(
+      schedule,
+      `Scheduled order ${outcome.orderNumber} placed`,
+      `Your scheduled order for client ${schedule.client_imo_id} was placed as ${outcome.orderNumber}.\n\n${nextLine}`
+    );
+  } else {
+    await notifyReseller(
+      schedule,
+      "Scheduled order skipped",
+      `Your scheduled order for client ${schedule.client_imo_id} could not be placed: ${outcome.error}.\n\n${nextLine}`
+    );
+  }
+}
+
+let runInProgress = false;
+
+// Execute every active schedule whose next run is due
+async function runDueScheduledOrders() {
+  if (runInProgress) return;
+  runInProgress = true;
+  try {
+    await ensureScheduledOrderTables();
+    const [dueSchedules] = await pool.query(
+      `SELECT * FROM scheduled_orders
+       WHERE status = 'ACTIVE' AND next_run_at IS NOT NULL AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC
+       LIMIT 100`
+    );
+    for (const schedule of dueSchedules) {
+      await executeSchedule(schedule);
+    }
+  } finally {
+    runInProgress = false;
+  }
+}
+
+module.exports = {
+  SCHEDULE_FREQUENCIES,
+  ensureScheduledOrderTables,
+  computeNextRun,
+  computeNextRunAfterNow,
+  runDueScheduledOrders,
+};
@@ -1,4 +1,5 @@
 const https = require("https");
+const { describeRecipient } = require("./productCatalog");
 
 function sendTelegramMessage(text) {
   const token = process.env.TELEGRAM_BOT_TOKEN;
@@ -48,12 +49,27 @@ function sendTelegramMessage(text) {
   });
 }
 
-function formatOrderMessage(order, requester) {
+// Product, recipient and amount lines of an order message
+function formatOrderItemLines(order, product) {
+  const unitLabel = product?.unit_label || order.unit_label || "Diamonds";
+  return [
+    product || order.product_name
+      ? `Product: ${product?.name || order.product_name}`
+      : null,
+    ...describeRecipient(order, product).map(
+      ({ label, value }) => `${label}: ${value}`
+    ),
+    `${unitLabel}: ${order.quantity} x ${order.diamond_amount} = ${
+      order.quantity * order.diamond_amount
+    }`,
+  ];
+}
+
+function formatOrderMessage(order, requester, product) {
   if (!order) {
     return "New order received.";
   }
 
-  const totalDiamonds = order.quantity * order.diamond_amount;
   const nickname = requester?.nickname;
   const name = requester?.name;
   const requesterName = nickname || name;
@@ -71,16 +87,49 @@ function formatOrderMessage(order, requester) {
     "New order received",
     `Order: ${order.order_number}`,
     requesterLine,
-    order.client_imo_id ? `IMO ID: ${order.client_imo_id}` : null,
-    `Diamonds: ${order.quantity} x ${order.diamond_amount} = ${totalDiamonds}`,
-    `Diamond Amount: ${order.points_used}`,
+    ...formatOrderItemLines(order, product),
+    `Points: ${order.points_used}`,
   ].filter(Boolean);
 
   return lines.join("\n");
 }
 
-function sendTelegramOrderNotification(order, requester) {
-  const message = formatOrderMessage(order, requester);
+function sendTelegramOrderNotification(order, requester, product) {
+  const message = formatOrderMessage(order, requester, product);
+  return sendTelegramMessage(message);
+}
+
+function formatOrderSlaMessage(order, heading, minutesInQueue, product) {
+  const hours = Math.floor(minutesInQueue / 60);
+  const minutes = minutesInQueue % 60;
+  const lines = [
+    heading,
+    `Order: ${order.order_number}`,
+    `Status: ${order.status}`,
+    ...formatOrderItemLines(order, product),
+    `Waiting: ${hours > 0 ? `${hours}h ` : ""}${minutes}m`,
+  ].filter(Boolean);
+
+  return lines.join("\n");
+}
+
+function sendTelegramOrderEscalation(order, minutesInQueue, product) {
+  const message = formatOrderSlaMessage(
+    order,
+    "Order still waiting - please action",
+    minutesInQueue,
+    product
+  );
+  return sendTelegramMessage(message);
+}
+
+function sendTelegramOrderExpired(order, minutesInQueue, product) {
+  const message = formatOrderSlaMessage(
+    order,
+    "Order expired and refunded",
+    minutesInQueue,
+    product
+  );
   return sendTelegramMessage(message);
 }
 
@@ -115,5 +164,7 @@ function sendTelegramUserRegistrationNotification(user) {
 
 module.exports = {
   sendTelegramOrderNotification,
+  sendTelegramOrderEscalation,
+  sendTelegramOrderExpired,
   sendTelegramUserRegistrationNotification,
 };
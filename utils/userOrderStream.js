@@ -0,0 +1,89 @@
+// Per-user SSE subscribers: pushes a reseller's own order status and balance changes
+const pool = require("../database/connection");
+
+const subscribers = new Map();
+
+function addUserSubscriber(userId, res) {
+  const key = userId.toString();
+  const set = subscribers.get(key) || new Set();
+  set.add(res);
+  subscribers.set(key, set);
+}
+
+function removeUserSubscriber(userId, res) {
+  const key = userId.toString();
+  const set = subscribers.get(key);
+  if (!set) return;
+  set.delete(res);
+  if (set.size === 0) {
+    subscribers.delete(key);
+  }
+}
+
+function hasUserSubscribers(userId) {
+  const set = subscribers.get(userId.toString());
+  return Boolean(set && set.size > 0);
+}
+
+function sendToUser(userId, event, payload) {
+  const key = userId.toString();
+  const set = subscribers.get(key);
+  if (!set || set.size === 0) return;
+
+  const data = JSON.stringify(payload);
+  for (const res of Array.from(set)) {
+    try {
+      res.write(`event: ${event}\ndata: ${data}\n\n`);
+    } catch (err) {
+      set.delete(res);
+    }
+  }
+
+  if (set.size === 0) {
+    subscribers.delete(key);
+  }
+}
+
+// Tell the owner their order moved to a new status
+function notifyOrderStatus(order, status, details = {}) {
+  if (!order) return;
+  sendToUser(order.user_id, "order-status", {
+    orderId: order.id,
+    orderNumber: order.order_number,
+    status,
+    ...details,
+  });
+}
+
+// Push the user's current points balance; skips the lookup when nobody is listening
+async function notifyBalance(userId) {
+  if (!userId || !hasUserSubscribers(userId)) return;
+  const [rows] = await pool.query(
+    `SELECT points_balance FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (rows.length === 0) return;
+  sendToUser(userId, "balance", { points_balance: rows[0].points_balance });
+}
+
+// Status change plus the balance it affected, for callers that must not fail on a push error
+function publishOrderUpdate(order, status, details = {}, { balanceChanged = false } = {}) {
+  try {
+    notifyOrderStatus(order, status, details);
+  } catch (err) {
+    console.warn("Failed to push order status:", err);
+  }
+  if (balanceChanged && order) {
+    notifyBalance(order.user_id).catch((err) => {
+      console.warn("Failed to push balance:", err);
+    });
+  }
+}
+
+module.exports = {
+  addUserSubscriber,
+  removeUserSubscriber,
+  notifyOrderStatus,
+  notifyBalance,
+  publishOrderUpdate,
+};
@@ -0,0 +1,381 @@
+// Outbound webhooks: admins subscribe URLs to events; each event is POSTed as signed JSON.
+// Every delivery is logged in webhook_deliveries. Failed deliveries are retried with exponential
+// backoff by the cron job in server.js until WEBHOOK_MAX_ATTEMPTS; admins can redeliver from the log.
+//
+// Requests carry:
+//   X-Webhook-Event       event name, e.g. order.completed
+//   X-Webhook-Delivery    delivery id (a redelivery gets a new id; payload.id stays the same)
+//   X-Webhook-Timestamp   unix seconds
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret>
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const pool = require("../database/connection");
+
+const WEBHOOK_EVENTS = [
+  "order.created",
+  "order.completed",
+  "order.rejected",
+  "order.failed",
+  "order.cancelled",
+  "order.expired",
+  "user.approved",
+  "points.added",
+];
+
+const MAX_ATTEMPTS = Math.max(Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6), 1);
+const RETRY_BASE_SECONDS = Math.max(
+  Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+  1
+);
+const TIMEOUT_SECONDS = Math.max(Number(process.env.WEBHOOK_TIMEOUT_SECONDS || 10), 1);
+const RETENTION_DAYS = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || 30);
+
+let webhookTablesReady = false;
+
+// Ensure webhooks and webhook_deliveries tables exist
+async function ensureWebhookTables() {
+  if (webhookTablesReady) return;
+
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      url VARCHAR(500) NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      events JSON NOT NULL,
+      is_active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB`
+  );
+  await pool.query(
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      webhook_id INT NOT NULL,
+      event VARCHAR(50) NOT NULL,
+      payload MEDIUMTEXT NOT NULL,
+      status ENUM('PENDING', 'SUCCESS', 'FAILED') NOT NULL DEFAULT 'PENDING',
+      attempts INT NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      response_status INT NULL,
+      response_body VARCHAR(500) NULL,
+      last_error VARCHAR(255) NULL,
+      redelivery_of INT NULL,
+      delivered_at DATETIME NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+      INDEX idx_webhook_deliveries_webhook (webhook_id, id),
+      CONSTRAINT fk_webhook_deliveries_webhook FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB`
+  );
+  webhookTablesReady = true;
+}
+
+const generateWebhookSecret = () => crypto.randomBytes(24).toString("hex");
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Event list from an admin request: a non-empty subset of WEBHOOK_EVENTS, or ["*"] for all
+function parseWebhookEvents(value) {
+  const list = Array.isArray(value) ? value : [];
+  const events = [...new Set(list.map((event) => String(event).trim()))];
+  if (events.includes("*")) return { events: ["*"] };
+  if (events.length === 0) {
+    return { error: "Choose at least one event (or \"*\" for all)" };
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return { error: `Unknown events: ${unknown.join(", ")}` };
+  }
+  return { events };
+}
+
+function parseWebhookUrl(value) {
+  try {
+    const url = new URL(String(value || "").trim());
+    if (!["http:", "https:"].includes(url.protocol) || url.href.length > 500) {
+      return null;
+    }
+    return url.href;
+  } catch (err) {
+    return null;
+  }
+}
+
+const parseEventList = (events) => {
+  if (Array.isArray(events)) return events;
+  try {
+    return JSON.parse(events || "[]");
+  } catch (err) {
+    return [];
+  }
+};
+
+// Webhook row for admin responses; the secret is only shown in full when it is created or rotated
+function formatWebhook(row, { includeSecret = false } = {}) {
+  if (!row) return null;
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: parseEventList(row.events),
+    is_active: Boolean(row.is_active),
+    secret: includeSecret ? secret : `${"*".repeat(8)}${secret.slice(-4)}`,
+  };
+}
+
+// POST one delivery (joined with its webhook's url and secret);
+// resolves to { statusCode, body } or rejects on network error / timeout
+function postWebhook(delivery) {
+  const url = new URL(delivery.url);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = delivery.payload;
+
+  const options = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      "User-Agent": "topup-webhooks/1.0",
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Delivery": String(delivery.id),
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": signPayload(delivery.secret, timestamp, body),
+    },
+    timeout: TIMEOUT_SECONDS * 1000,
+  };
+
+  const client = url.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, options, (res) => {
+      let data = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        if (data.length < 500) data += chunk;
+      });
+      res.on("end", () => resolve({ statusCode: res.statusCode, body: data }));
+    });
+
+    req.on("timeout", () => {
+      req.destroy(new Error(`Timed out after ${TIMEOUT_SECONDS}s`));
+    });
+    req.on("error", (err) => reject(err));
+    req.write(body);
+    req.end();
+  });
+}
+
+// Attempt a logged delivery once and record the result (success, retry later or give up)
+async function attemptDelivery(deliveryId) {
+  // Lease the delivery so the retry job cannot send it again while this request is in flight;
+  // a crash mid-request leaves it due again once the lease runs out
+  const [lease] = await pool.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+     WHERE id = ? AND status = 'PENDING' AND next_attempt_at <= NOW()`,
+    [TIMEOUT_SECONDS + 60, deliveryId]
+  );
+  if (lease.affectedRows === 0) return;
+
+  const [rows] = await pool.query(
+    `SELECT d.*, w.url, w.secret, w.is_active
+     FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhook_id = w.id
+     WHERE d.id = ? AND d.status = 'PENDING'`,
+    [deliveryId]
+  );
+  const delivery = rows[0];
+  if (!delivery) return;
+
+  let response = null;
+  let error = null;
+  if (!delivery.is_active) {
+    error = "Webhook is disabled";
+  } else {
+    try {
+      response = await postWebhook(delivery);
+    } catch (err) {
+      error = err.message || "Request failed";
+    }
+  }
+
+  const attempts = delivery.attempts + 1;
+  const succeeded =
+    response && response.statusCode >= 200 && response.statusCode < 300;
+  if (response && !succeeded) {
+    error = `HTTP ${response.statusCode}`;
+  }
+
+  // Retry after base, 2x base, 4x base... while attempts remain (disabled webhooks are not retried)
+  const giveUp = !succeeded && (attempts >= MAX_ATTEMPTS || !delivery.is_active);
+  const status = succeeded ? "SUCCESS" : giveUp ? "FAILED" : "PENDING";
+  const retryInSeconds = RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, response_status = ?, response_body = ?, last_error = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+         delivered_at = ${succeeded ? "CURRENT_TIMESTAMP" : "NULL"}
+     WHERE id = ?`,
+    [
+      status,
+      attempts,
+      response ? response.statusCode : null,
+      response ? response.body.substring(0, 500) : null,
+      error ? error.substring(0, 255) : null,
+      status === "PENDING" ? retryInSeconds : 0,
+      deliveryId,
+    ]
+  );
+
+  if (giveUp) {
+    console.warn(
+      `[Webhooks] Delivery ${deliveryId} (${delivery.event}) to webhook ${delivery.webhook_id} failed after ${attempts} attempt(s): ${error}`
+    );
+  }
+}
+
+/**
+ * Queue an event for every active webhook subscribed to it and try each delivery right away.
+ * Never throws: webhook problems must not affect the change that raised the event.
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    await ensureWebhookTables();
+    const [webhooks] = await pool.query(
+      `SELECT id, events FROM webhooks WHERE is_active = 1`
+    );
+    const subscribed = webhooks.filter((webhook) => {
+      const events = parseEventList(webhook.events);
+      return events.includes("*") || events.includes(event);
+    });
+    if (subscribed.length === 0) return;
+
+    const payload = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+
+    for (const webhook of subscribed) {
+      const [result] = await pool.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, ?, ?)`,
+        [webhook.id, event, payload]
+      );
+      attemptDelivery(result.insertId).catch((err) => {
+        console.error(`[Webhooks] Delivery ${result.insertId} error:`, err);
+      });
+    }
+  } catch (err) {
+    console.error(`[Webhooks] Failed to queue ${event}:`, err);
+  }
+}
+
+// Send a logged delivery again as a new delivery with the same payload.
+// Resolves to the new delivery id, or null when the original does not exist.
+async function redeliverWebhook(deliveryId) {
+  await ensureWebhookTables();
+  const [rows] = await pool.query(
+    `SELECT webhook_id, event, payload FROM webhook_deliveries WHERE id = ?`,
+    [deliveryId]
+  );
+  if (rows.length === 0) return null;
+
+  const [result] = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+     VALUES (?, ?, ?, ?)`,
+    [rows[0].webhook_id, rows[0].event, rows[0].payload, deliveryId]
+  );
+  await attemptDelivery(result.insertId);
+  return result.insertId;
+}
+
+let retryInProgress = false;
+
+// Retry deliveries whose backoff has passed and prune old finished ones
+async function runDueWebhookDeliveries() {
+  if (retryInProgress) return;
+  retryInProgress = true;
+  try {
+    await ensureWebhookTables();
+    const [due] = await pool.query(
+      `SELECT id FROM webhook_deliveries
+       WHERE status = 'PENDING' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at ASC
+       LIMIT 50`
+    );
+    for (const { id } of due) {
+      try {
+        await attemptDelivery(id);
+      } catch (err) {
+        console.error(`[Webhooks] Retry of delivery ${id} failed:`, err);
+      }
+    }
+
+    if (RETENTION_DAYS > 0) {
+      await pool.query(
+        `DELETE FROM webhook_deliveries
+         WHERE status != 'PENDING' AND created_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [RETENTION_DAYS]
+      );
+    }
+  } finally {
+    retryInProgress = false;
+  }
+}
+
+// Order payload shared by the order.* events
+const formatOrderPayload = (order, status) => {
+  let recipientDetails = order.recipient_details || null;
+  if (typeof recipientDetails === "string") {
+    try {
+      recipientDetails = JSON.parse(recipientDetails);
+    } catch (err) {
+      recipientDetails = null;
+    }
+  }
+  return {
+    id: order.id,
+    orderNumber: order.order_number,
+    status,
+    userId: order.user_id,
+    productId: order.product_id || null,
+    packageId: order.package_id || null,
+    recipientId: order.client_imo_id,
+    recipientDetails,
+    amount: order.diamond_amount,
+    quantity: Number(order.quantity) || 1,
+    pointsUsed: Number(order.points_used),
+    deliveredQuantity: order.delivered_quantity ?? null,
+    refundedPoints: Number(order.refunded_points) || 0,
+    externalReference: order.external_reference || null,
+    rejectionReason: order.rejection_reason || null,
+    createdAt: order.created_at,
+  };
+};
+
+// order.* event for an order that is now in `status`; fire-and-forget
+function emitOrderWebhook(event, order, status) {
+  if (!order) return;
+  emitWebhookEvent(event, formatOrderPayload(order, status));
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ensureWebhookTables,
+  generateWebhookSecret,
+  parseWebhookEvents,
+  parseWebhookUrl,
+  formatWebhook,
+  emitWebhookEvent,
+  emitOrderWebhook,
+  redeliverWebhook,
+  runDueWebhookDeliveries,
+};